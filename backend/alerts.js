@@ -0,0 +1,198 @@
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const { fetchWithTimeout } = require('./http-client');
+const { normalizeIp } = require('./results-query');
+
+const OPERATORS = {
+    '<': (value, threshold) => value < threshold,
+    '<=': (value, threshold) => value <= threshold,
+    '>': (value, threshold) => value > threshold,
+    '>=': (value, threshold) => value >= threshold
+};
+
+// Validate alert rules, e.g.
+// { id: 'slow-download', metric: 'download', operator: '<', threshold: 50, consecutive: 3 }
+// { id: 'bufferbloat', metric: 'loadedLatency.download.median', operator: '>', threshold: 200 }
+// metric is a dotted path into the submitted results; serverId and webhook are optional
+function parseAlertRules(rules) {
+    if (!Array.isArray(rules)) {
+        throw new Error('Alert rules must be an array');
+    }
+
+    const ids = new Set();
+    return rules.map((rule, index) => {
+        const name = rule && rule.id ? `Alert rule ${rule.id}` : `Alert rule #${index}`;
+
+        if (!rule || typeof rule.id !== 'string' || !rule.id) {
+            throw new Error(`${name}: id is required`);
+        }
+        if (ids.has(rule.id)) {
+            throw new Error(`${name}: duplicate id`);
+        }
+        if (typeof rule.metric !== 'string' || !rule.metric) {
+            throw new Error(`${name}: metric is required`);
+        }
+        if (!OPERATORS[rule.operator]) {
+            throw new Error(`${name}: operator must be one of ${Object.keys(OPERATORS).join(' ')}`);
+        }
+        if (typeof rule.threshold !== 'number' || !isFinite(rule.threshold)) {
+            throw new Error(`${name}: threshold must be a number`);
+        }
+        if (rule.consecutive !== undefined && !(Number.isInteger(rule.consecutive) && rule.consecutive >= 1)) {
+            throw new Error(`${name}: consecutive must be a positive integer`);
+        }
+        ids.add(rule.id);
+
+        return {
+            id: rule.id,
+            description: rule.description || `${rule.metric} ${rule.operator} ${rule.threshold}`,
+            metric: rule.metric,
+            operator: rule.operator,
+            threshold: rule.threshold,
+            consecutive: rule.consecutive || 1,
+            serverId: rule.serverId !== undefined ? rule.serverId : null,
+            webhook: rule.webhook || null
+        };
+    });
+}
+
+// Rules come from ALERT_RULES_FILE (a JSON file) or ALERT_RULES (inline JSON)
+function loadAlertRules(env = process.env) {
+    if (env.ALERT_RULES_FILE) {
+        return parseAlertRules(JSON.parse(fs.readFileSync(env.ALERT_RULES_FILE, 'utf8')));
+    }
+    if (env.ALERT_RULES) {
+        return parseAlertRules(JSON.parse(env.ALERT_RULES));
+    }
+    return [];
+}
+
+function readMetric(results, path) {
+    const value = path.split('.').reduce((object, key) => (object == null ? undefined : object[key]), results);
+    return typeof value === 'number' && isFinite(value) ? value : null;
+}
+
+// Evaluates alert rules against saved results and delivers fired alerts to webhooks.
+// Consecutive-run streaks are tracked per rule and client IP, in memory.
+class AlertManager {
+    constructor(options = {}) {
+        this.rules = options.rules || [];
+        this.store = options.store;
+        this.logger = options.logger;
+        this.webhookUrl = options.webhookUrl || null;
+        this.retries = options.retries !== undefined ? options.retries : 3;
+        this.retryDelay = options.retryDelay || 1000;
+        this.timeout = options.timeout || 5000;
+        this.streaks = new Map();
+    }
+
+    // Returns the alerts fired by this result; webhook delivery continues in the background
+    async evaluate(result) {
+        const fired = [];
+        const clientIp = normalizeIp(result.clientIp);
+
+        for (const rule of this.rules) {
+            if (rule.serverId !== null && String(rule.serverId) !== String(result.server.id)) continue;
+
+            // Results without the metric (e.g. no loaded latency) leave the streak untouched
+            const value = readMetric(result.results, rule.metric);
+            if (value === null) continue;
+
+            const key = `${rule.id}|${clientIp}`;
+            if (!OPERATORS[rule.operator](value, rule.threshold)) {
+                this.streaks.delete(key);
+                continue;
+            }
+
+            // Only the latest run of rule.consecutive values is kept
+            const streak = this.streaks.get(key) || { values: [], resultIds: [], fired: false };
+            streak.values.push(value);
+            streak.resultIds.push(result.id);
+            if (streak.values.length > rule.consecutive) {
+                streak.values.shift();
+                streak.resultIds.shift();
+            }
+            this.streaks.set(key, streak);
+
+            // Fire once when the streak reaches the rule's length, then stay quiet until it recovers
+            if (streak.fired || streak.values.length < rule.consecutive) continue;
+            streak.fired = true;
+
+            const alert = {
+                id: uuidv4(),
+                ruleId: rule.id,
+                description: rule.description,
+                metric: rule.metric,
+                operator: rule.operator,
+                threshold: rule.threshold,
+                consecutive: rule.consecutive,
+                values: streak.values.slice(),
+                resultIds: streak.resultIds.slice(),
+                serverId: result.server.id,
+                clientIp: clientIp,
+                timestamp: new Date().toISOString(),
+                delivery: { status: this.webhookFor(rule) ? 'pending' : 'none', attempts: 0, lastError: null }
+            };
+
+            await this.store.saveAlert(alert);
+            this.logger.warn(`Alert ${rule.id} fired for ${clientIp}: ${rule.metric} ${rule.operator} ${rule.threshold} (${alert.values.join(', ')})`);
+            fired.push(alert);
+
+            if (alert.delivery.status === 'pending') {
+                this.deliver(alert, this.webhookFor(rule)).catch((error) => {
+                    this.logger.error(`Error delivering alert ${alert.id}: ${error.message}`);
+                });
+            }
+        }
+
+        return fired;
+    }
+
+    webhookFor(rule) {
+        return rule.webhook || this.webhookUrl;
+    }
+
+    // POST the alert, retrying with exponential backoff, and record the outcome
+    async deliver(alert, url) {
+        const body = JSON.stringify({ event: 'alert', alert });
+
+        for (let attempt = 0; attempt <= this.retries; attempt++) {
+            if (attempt > 0) {
+                await new Promise(resolve => setTimeout(resolve, this.retryDelay * 2 ** (attempt - 1)));
+            }
+
+            alert.delivery.attempts = attempt + 1;
+            try {
+                const response = await fetchWithTimeout(url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: body
+                }, this.timeout);
+
+                if (response.ok) {
+                    alert.delivery.status = 'delivered';
+                    alert.delivery.lastError = null;
+                    alert.delivery.deliveredAt = new Date().toISOString();
+                    break;
+                }
+                alert.delivery.lastError = `HTTP ${response.status}`;
+            } catch (error) {
+                alert.delivery.lastError = error.message;
+            }
+        }
+
+        if (alert.delivery.status !== 'delivered') {
+            alert.delivery.status = 'failed';
+            this.logger.error(`Alert ${alert.id} could not be delivered after ${alert.delivery.attempts} attempts: ${alert.delivery.lastError}`);
+        }
+
+        await this.store.saveAlert(alert);
+    }
+}
+
+module.exports = {
+    OPERATORS,
+    parseAlertRules,
+    loadAlertRules,
+    AlertManager
+};
@@ -0,0 +1,507 @@
+#!/usr/bin/env node
+// Command-line speed test client for headless machines and CI agents.
+// Runs the browser's measurement engine under Node: /api/servers and a test
+// session on the API, then the full test protocol against the chosen server.
+const fs = require('fs');
+const crypto = require('crypto');
+const { io } = require('socket.io-client');
+const { fetchWithTimeout } = require('../http-client');
+const SpeedTestEngine = require('../speedtest-engine');
+
+// Node 18 has no global Web Crypto; the engine fills its upload payload with getRandomValues
+if (!globalThis.crypto) {
+    globalThis.crypto = crypto.webcrypto;
+}
+
+const USAGE = `Usage: speedtest [options]
+
+Server selection:
+  --api <url>             API base URL (default: http://localhost:3000)
+  --server <id>           Test server ID from /api/servers (default: lowest ping)
+  --host <host:port>      Test a server directly, without asking the API
+
+Test options:
+  --duration <seconds>    Requested duration of each throughput test; the server's
+                          test plan has the final say (default: 10)
+  --streams <n>           Maximum parallel connections per throughput test
+                          (default: as many as the test plan allows)
+  --pings <n>             Number of ping samples (default: 10)
+  --no-download           Skip the download test
+  --no-upload             Skip the upload test
+
+Output:
+  --format <format>       human, json or csv (default: human)
+  --csv-header            Print the CSV header line before the result
+  --save                  Submit each result to the API's /api/save-results
+  --log <file>            Append each result to a JSON lines file
+
+Scheduling:
+  --every <minutes>       Repeat the test on an interval until interrupted (Ctrl-C)
+  --quiet-hours <range>   Skip scheduled runs inside HH:MM-HH:MM, e.g. 22:00-07:00
+  --daily-cap <MB>        Skip scheduled runs once the day's test traffic would exceed this
+
+Thresholds (exit code 2 when not met):
+  --min-download <Mbps>
+  --min-upload <Mbps>
+  --max-ping <ms>
+
+  -h, --help              Show this help
+
+Exit codes: 0 passed, 1 error, 2 threshold not met, 130 interrupted
+`;
+
+// Conventional exit code for a process stopped by SIGINT
+const EXIT_INTERRUPTED = 130;
+
+const DEFAULTS = {
+    api: 'http://localhost:3000',
+    server: null,
+    host: null,
+    duration: 10,
+    streams: null,
+    pings: 10,
+    download: true,
+    upload: true,
+    format: 'human',
+    csvHeader: false,
+    save: false,
+    log: null,
+    every: null,
+    quietHours: null,
+    dailyCap: null,
+    minDownload: null,
+    minUpload: null,
+    maxPing: null
+};
+
+const NUMBER_OPTIONS = ['duration', 'streams', 'pings', 'every', 'dailyCap', 'minDownload', 'minUpload', 'maxPing'];
+const FORMATS = ['human', 'json', 'csv'];
+const CSV_FIELDS = ['timestamp', 'serverId', 'serverName', 'ping', 'jitter', 'download', 'upload', 'passed'];
+
+class UsageError extends Error {}
+
+function toCamelCase(flag) {
+    return flag.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+function parseArgs(argv) {
+    const options = { ...DEFAULTS };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+            continue;
+        }
+        if (!arg.startsWith('--')) {
+            throw new UsageError(`Unexpected argument: ${arg}`);
+        }
+
+        let [flag, value] = arg.slice(2).split(/=(.*)/s);
+        if (flag.startsWith('no-') && DEFAULTS[toCamelCase(flag.slice(3))] === true) {
+            options[toCamelCase(flag.slice(3))] = false;
+            continue;
+        }
+
+        const name = toCamelCase(flag);
+        if (!(name in DEFAULTS)) {
+            throw new UsageError(`Unknown option: --${flag}`);
+        }
+        if (typeof DEFAULTS[name] === 'boolean') {
+            options[name] = true;
+            continue;
+        }
+
+        if (value === undefined) {
+            value = argv[++i];
+            if (value === undefined) {
+                throw new UsageError(`Missing value for --${flag}`);
+            }
+        }
+
+        if (NUMBER_OPTIONS.includes(name)) {
+            const number = parseFloat(value);
+            if (isNaN(number) || number < 0) {
+                throw new UsageError(`--${flag} must be a non-negative number`);
+            }
+            options[name] = number;
+        } else {
+            options[name] = value;
+        }
+    }
+
+    if (!FORMATS.includes(options.format)) {
+        throw new UsageError(`--format must be one of ${FORMATS.join(', ')}`);
+    }
+    if ((options.streams !== null && options.streams < 1) || options.pings < 1 || options.duration <= 0) {
+        throw new UsageError('--streams, --pings and --duration must be positive');
+    }
+    if (options.every !== null && options.every <= 0) {
+        throw new UsageError('--every must be positive');
+    }
+    if (options.quietHours !== null) {
+        options.quietHours = parseQuietHours(options.quietHours);
+    }
+
+    return options;
+}
+
+// "22:00-07:00" -> { from: 1320, to: 420 } in minutes after midnight
+function parseQuietHours(value) {
+    const match = /^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/.exec(value);
+    if (!match || match[1] > 23 || match[3] > 23 || match[2] > 59 || match[4] > 59) {
+        throw new UsageError('--quiet-hours must look like HH:MM-HH:MM');
+    }
+    return { from: match[1] * 60 + Number(match[2]), to: match[3] * 60 + Number(match[4]) };
+}
+
+async function loadServers(api) {
+    const response = await fetchWithTimeout(`${api.replace(/\/$/, '')}/api/servers`);
+    if (!response.ok) {
+        throw new Error(`Failed to load servers from ${api} (HTTP ${response.status})`);
+    }
+    return response.json();
+}
+
+async function selectServer(options, log) {
+    if (options.host) {
+        const [host, port] = options.host.split(':');
+        return { id: options.host, name: options.host, host, port: parseInt(port) || 3001 };
+    }
+
+    const servers = await loadServers(options.api);
+    if (options.server !== null) {
+        const server = servers.find(s => String(s.id) === String(options.server));
+        if (!server) {
+            throw new UsageError(`Unknown server ${options.server}; available: ${servers.map(s => s.id).join(', ')}`);
+        }
+        return server;
+    }
+
+    // Same strategy as the browser: probe every server in parallel with several
+    // samples each and pick the lowest median latency
+    const probes = await Promise.all(servers.map(server => SpeedTestEngine.probeServerLatency(server)));
+
+    let best = null;
+    servers.forEach((server, index) => {
+        const probe = probes[index];
+        if (!probe.reachable) {
+            log(`  ${server.name}: unreachable (${probe.error})`);
+            return;
+        }
+
+        log(`  ${server.name}: ${probe.latency.toFixed(1)} ms`);
+        if (!best || probe.latency < best.latency) {
+            best = { server, latency: probe.latency };
+        }
+    });
+
+    if (!best) {
+        throw new Error('No test server is reachable');
+    }
+    return best.server;
+}
+
+function checkThresholds(result, options) {
+    const failures = [];
+
+    if (options.maxPing !== null && result.ping > options.maxPing) {
+        failures.push(`ping ${result.ping.toFixed(1)} ms is above ${options.maxPing} ms`);
+    }
+    if (options.minDownload !== null && result.download !== null && result.download < options.minDownload) {
+        failures.push(`download ${result.download.toFixed(2)} Mbps is below ${options.minDownload} Mbps`);
+    }
+    if (options.minUpload !== null && result.upload !== null && result.upload < options.minUpload) {
+        failures.push(`upload ${result.upload.toFixed(2)} Mbps is below ${options.minUpload} Mbps`);
+    }
+
+    return failures;
+}
+
+function formatResult(result, options) {
+    if (options.format === 'json') {
+        return JSON.stringify(result, null, 2);
+    }
+
+    if (options.format === 'csv') {
+        const row = {
+            timestamp: result.timestamp,
+            serverId: result.server.id,
+            serverName: result.server.name,
+            ping: result.ping.toFixed(2),
+            jitter: result.jitter.toFixed(2),
+            download: result.download === null ? '' : result.download.toFixed(2),
+            upload: result.upload === null ? '' : result.upload.toFixed(2),
+            passed: result.passed
+        };
+        const line = CSV_FIELDS.map(field => {
+            const value = String(row[field]);
+            return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        }).join(',');
+        return options.csvHeader ? `${CSV_FIELDS.join(',')}\n${line}` : line;
+    }
+
+    const lines = [
+        `Server:   ${result.server.name} (${result.server.host}:${result.server.port})`,
+        `Ping:     ${result.ping.toFixed(1)} ms (jitter ${result.jitter.toFixed(1)} ms)`,
+        `Loss:     ${result.packetLoss === null ? 'n/a' : `${result.packetLoss.toFixed(1)}%`}`,
+        `Download: ${result.download === null ? 'skipped' : `${result.download.toFixed(2)} Mbps`}`,
+        `Upload:   ${result.upload === null ? 'skipped' : `${result.upload.toFixed(2)} Mbps`}`
+    ];
+    result.failures.forEach(failure => lines.push(`FAILED:   ${failure}`));
+    return lines.join('\n');
+}
+
+const PHASE_MESSAGES = {
+    ping: 'Testing ping...',
+    packetLoss: 'Testing packet loss...',
+    download: 'Testing download...',
+    upload: 'Testing upload...',
+    verify: 'Collecting server measurements...'
+};
+
+async function run(options) {
+    // Progress goes to stderr so stdout stays machine-readable
+    const log = options.format === 'human' ? message => process.stderr.write(`${message}\n`) : () => {};
+
+    log('Selecting server...');
+    const server = await selectServer(options, log);
+
+    // The same engine as the browser, so sessions, test plans and receipts match
+    const engine = new SpeedTestEngine({
+        apiBase: options.api.replace(/\/$/, ''),
+        io: io,
+        phases: SpeedTestEngine.PHASES.filter(phase => options[phase] !== false),
+        warn: (message, error) => log(`${message} ${error && error.message ? error.message : error}`),
+        config: {
+            testDuration: options.duration * 1000,
+            pingCount: options.pings,
+            streamLimit: options.streams
+        }
+    });
+    engine.on('phase-start', ({ phase }) => log(PHASE_MESSAGES[phase]));
+
+    const abort = () => engine.abort();
+    process.once('SIGINT', abort);
+
+    let document;
+    try {
+        document = await engine.run(server);
+    } finally {
+        process.removeListener('SIGINT', abort);
+    }
+
+    const results = document.results;
+    const result = {
+        id: document.id,
+        timestamp: document.timestamp,
+        server: { id: server.id, name: server.name, host: server.host, port: server.port },
+        ping: results.ping,
+        jitter: results.jitter,
+        packetLoss: results.packetLoss,
+        download: options.download ? results.download : null,
+        upload: options.upload ? results.upload : null,
+        detail: {
+            latency: results.latency,
+            loadedLatency: results.loadedLatency,
+            packetLossDetail: results.packetLossDetail,
+            serverObserved: results.serverObserved,
+            plan: results.plan,
+            download: results.downloadDetail,
+            upload: results.uploadDetail
+        },
+        receipts: document.receipts
+    };
+    result.failures = checkThresholds(result, options);
+    result.passed = result.failures.length === 0;
+
+    return result;
+}
+
+// Quiet hours may wrap past midnight
+function isQuietTime(date, quietHours) {
+    if (!quietHours) return false;
+
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const { from, to } = quietHours;
+    return from <= to
+        ? minutes >= from && minutes < to
+        : minutes >= from || minutes < to;
+}
+
+// Why a scheduled run must not start now, or null when it may
+function scheduleBlocker(date, usage, options) {
+    if (isQuietTime(date, options.quietHours)) {
+        return 'quiet hours';
+    }
+
+    // Assume the next run moves as much data as the last one
+    if (options.dailyCap !== null && usage.bytes + usage.lastRunBytes > options.dailyCap * 1024 * 1024) {
+        return `daily data cap of ${options.dailyCap} MB reached`;
+    }
+
+    return null;
+}
+
+// Submit the result with its session id and receipts so the API can verify it
+async function saveResult(result, options) {
+    if (result.download === null || result.upload === null) {
+        throw new Error('results without both download and upload cannot be saved');
+    }
+
+    const response = await fetchWithTimeout(`${options.api.replace(/\/$/, '')}/api/save-results`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            id: result.id,
+            timestamp: result.timestamp,
+            status: 'complete',
+            trigger: options.every !== null ? 'scheduled' : 'manual',
+            server: { id: result.server.id, name: result.server.name },
+            results: {
+                ping: result.ping,
+                jitter: result.jitter,
+                download: result.download,
+                upload: result.upload,
+                packetLoss: result.packetLoss,
+                packetLossDetail: result.detail.packetLossDetail,
+                latency: result.detail.latency,
+                loadedLatency: result.detail.loadedLatency,
+                serverObserved: result.detail.serverObserved
+            },
+            receipts: result.receipts
+        })
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.success) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+    }
+    return data;
+}
+
+// Print, log and submit one result; saving problems are reported but do not fail the run
+async function recordResult(result, options) {
+    process.stdout.write(`${formatResult(result, options)}\n`);
+
+    if (options.log) {
+        fs.appendFileSync(options.log, `${JSON.stringify(result)}\n`);
+    }
+
+    if (options.save) {
+        try {
+            const saved = await saveResult(result, options);
+            process.stderr.write(`Result saved as ${saved.testId} (${saved.verified ? 'verified' : 'not verified'})\n`);
+        } catch (error) {
+            process.stderr.write(`Could not save result: ${error.message}\n`);
+        }
+    }
+}
+
+// Run the test every options.every minutes until the process is interrupted.
+// Ctrl-C aborts a running test or cuts the wait short, and ends the schedule.
+async function runSchedule(options) {
+    const interval = options.every * 60 * 1000;
+    const usage = { date: null, bytes: 0, lastRunBytes: 0 };
+    const printOptions = { ...options };
+
+    let interrupted = false;
+    let wake = null;
+    const interrupt = () => {
+        interrupted = true;
+        if (wake) wake();
+    };
+    process.on('SIGINT', interrupt);
+
+    while (!interrupted) {
+        const startedAt = new Date();
+
+        if (usage.date !== startedAt.toDateString()) {
+            usage.date = startedAt.toDateString();
+            usage.bytes = 0;
+        }
+
+        const reason = scheduleBlocker(startedAt, usage, options);
+        if (reason) {
+            process.stderr.write(`${startedAt.toISOString()} scheduled run skipped: ${reason}\n`);
+        } else {
+            try {
+                const result = await run(options);
+                const bytes = ['download', 'upload']
+                    .reduce((total, direction) => total + (result.detail[direction] ? result.detail[direction].totalBytes : 0), 0);
+                usage.bytes += bytes;
+                usage.lastRunBytes = bytes;
+
+                await recordResult(result, printOptions);
+                // The CSV header belongs only above the first row
+                printOptions.csvHeader = false;
+            } catch (error) {
+                if (error.name === 'AbortError') break;
+                process.stderr.write(`${startedAt.toISOString()} speed test failed: ${error.message}\n`);
+            }
+        }
+
+        const elapsed = Date.now() - startedAt.getTime();
+        await new Promise((resolve) => {
+            const timer = setTimeout(resolve, Math.max(0, interval - elapsed));
+            wake = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        });
+        wake = null;
+    }
+
+    process.removeListener('SIGINT', interrupt);
+    process.stderr.write('Scheduled runs stopped\n');
+    return EXIT_INTERRUPTED;
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}`);
+        return 1;
+    }
+
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+
+    try {
+        if (options.every !== null) {
+            // Only returns once interrupted
+            return await runSchedule(options);
+        }
+
+        const result = await run(options);
+        await recordResult(result, options);
+        return result.passed ? 0 : 2;
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            process.stderr.write('Speed test stopped\n');
+            return EXIT_INTERRUPTED;
+        }
+        process.stderr.write(`Speed test failed: ${error.message}\n`);
+        return 1;
+    }
+}
+
+if (require.main === module) {
+    main().then((code) => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = {
+    parseArgs,
+    run,
+    formatResult,
+    checkThresholds,
+    isQuietTime,
+    runSchedule
+};
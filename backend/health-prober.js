@@ -0,0 +1,208 @@
+const { fetchWithTimeout } = require('./http-client');
+
+// Servers that changed status this many times within the last hour are flapping
+const FLAPPING_THRESHOLD = 4;
+
+// Background prober for registered test servers. Each round requests /health and
+// /ping on every server and hands the connection count from /health to the registry.
+// A server's status only changes after the new status has been indicated for
+// `hysteresis` rounds in a row, so one lost probe does not flap it.
+// Statuses: online, degraded (slow or losing probes), offline (failing every probe).
+class HealthProber {
+    constructor(options = {}) {
+        this.registry = options.registry;
+        this.logger = options.logger;
+        this.interval = options.interval || 10 * 1000;
+        this.timeout = options.timeout || 2000;
+        this.window = options.window || 10;                   // probes kept for success rate and response time
+        this.hysteresis = options.hysteresis || 2;            // rounds a new status must hold before it applies
+        this.offlineAfter = options.offlineAfter || 3;        // consecutive failures before a server counts as offline
+        this.degradedSuccessRate = options.degradedSuccessRate || 0.8;
+        this.degradedResponseTime = options.degradedResponseTime || 500; // ms
+        this.maxHistory = options.maxHistory || 1000;
+        this.states = new Map();
+        this.history = [];
+        this.timer = null;
+        this.running = false;
+    }
+
+    start() {
+        this.timer = setInterval(() => this.probeAll(), this.interval);
+        this.timer.unref();
+        this.probeAll();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async probeAll() {
+        // Skip a round rather than pile up when probes take longer than the interval
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const servers = this.registry.list();
+            const ids = new Set(servers.map(server => String(server.id)));
+
+            // Forget servers that have left the registry
+            for (const id of this.states.keys()) {
+                if (!ids.has(id)) this.states.delete(id);
+            }
+
+            await Promise.all(servers.map(async (server) => {
+                const probe = await this.probe(server);
+                this.record(server, probe);
+            }));
+        } catch (error) {
+            this.logger.error(`Health probe round failed: ${error.message}`);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    // One probe: /health must report healthy, then /ping gives the response time
+    async probe(server) {
+        const base = `http://${server.host}:${server.port}`;
+        const time = Date.now();
+
+        try {
+            const health = await fetchWithTimeout(`${base}/health`, {}, this.timeout);
+            if (!health.ok) {
+                return { time, ok: false, error: `/health returned HTTP ${health.status}` };
+            }
+            const body = await health.json().catch(() => ({}));
+            if (body.status && body.status !== 'healthy') {
+                return { time, ok: false, error: `/health reported ${body.status}` };
+            }
+
+            const start = process.hrtime.bigint();
+            const ping = await fetchWithTimeout(`${base}/ping`, { headers: { 'Cache-Control': 'no-cache' } }, this.timeout);
+            await ping.text();
+            const responseTime = Number(process.hrtime.bigint() - start) / 1e6;
+
+            return ping.ok
+                ? { time, ok: true, responseTime, activeConnections: body.activeConnections }
+                : { time, ok: false, error: `/ping returned HTTP ${ping.status}` };
+        } catch (error) {
+            return { time, ok: false, error: error.name === 'AbortError' ? 'timed out' : error.message };
+        }
+    }
+
+    record(server, probe) {
+        const id = String(server.id);
+        const state = this.states.get(id) || { probes: [], consecutiveFailures: 0, candidate: null, candidateRounds: 0 };
+        this.states.set(id, state);
+
+        state.probes.push(probe);
+        if (state.probes.length > this.window) state.probes.shift();
+        state.consecutiveFailures = probe.ok ? 0 : state.consecutiveFailures + 1;
+
+        const health = this.summarize(state, probe);
+        const indicated = this.indicatedStatus(state, health);
+
+        if (indicated === server.status) {
+            state.candidate = null;
+            state.candidateRounds = 0;
+        } else {
+            state.candidateRounds = indicated === state.candidate ? state.candidateRounds + 1 : 1;
+            state.candidate = indicated;
+
+            if (state.candidateRounds >= this.hysteresis) {
+                this.changeStatus(server, indicated, health);
+                state.candidate = null;
+                state.candidateRounds = 0;
+            }
+        }
+
+        server.health = health;
+
+        // Scoring weighs load by connections; the registry decides whose count this is
+        if (probe.ok && typeof probe.activeConnections === 'number') {
+            this.registry.reportConnections(server.id, probe.activeConnections);
+        }
+    }
+
+    summarize(state, probe) {
+        const successes = state.probes.filter(p => p.ok);
+        const responseTimes = successes.map(p => p.responseTime);
+
+        return {
+            successRate: successes.length / state.probes.length,
+            avgResponseTime: responseTimes.length > 0
+                ? responseTimes.reduce((a, b) => a + b) / responseTimes.length
+                : null,
+            probes: state.probes.length,
+            consecutiveFailures: state.consecutiveFailures,
+            lastProbe: new Date(probe.time).toISOString(),
+            lastError: probe.ok ? null : probe.error
+        };
+    }
+
+    indicatedStatus(state, health) {
+        if (state.consecutiveFailures >= this.offlineAfter) {
+            return 'offline';
+        }
+        if (health.successRate < this.degradedSuccessRate ||
+            (health.avgResponseTime !== null && health.avgResponseTime > this.degradedResponseTime)) {
+            return 'degraded';
+        }
+        return 'online';
+    }
+
+    changeStatus(server, status, health) {
+        const change = {
+            serverId: server.id,
+            serverName: server.name,
+            from: server.status,
+            to: status,
+            timestamp: new Date().toISOString(),
+            successRate: health.successRate,
+            avgResponseTime: health.avgResponseTime,
+            reason: health.lastError || (status === 'degraded'
+                ? `success rate ${(health.successRate * 100).toFixed(0)}%, response time ${health.avgResponseTime === null ? 'n/a' : `${health.avgResponseTime.toFixed(0)} ms`}`
+                : null)
+        };
+
+        server.status = status;
+        this.history.push(change);
+        if (this.history.length > this.maxHistory) this.history.shift();
+
+        const message = `Test server ${server.id} is now ${status} (was ${change.from})${change.reason ? `: ${change.reason}` : ''}`;
+        if (status === 'online') {
+            this.logger.info(message);
+        } else {
+            this.logger.warn(message);
+        }
+    }
+
+    // Status changes newest first, optionally for one server and since a time
+    listHistory(filters = {}) {
+        return this.history
+            .filter(change =>
+                (!filters.serverId || String(change.serverId) === String(filters.serverId)) &&
+                (!filters.from || Date.parse(change.timestamp) >= filters.from)
+            )
+            .reverse();
+    }
+
+    // Servers that changed status FLAPPING_THRESHOLD or more times since a time
+    listFlapping(from = Date.now() - 60 * 60 * 1000) {
+        const changes = {};
+        for (const change of this.listHistory({ from })) {
+            changes[change.serverId] = (changes[change.serverId] || 0) + 1;
+        }
+
+        return Object.entries(changes)
+            .filter(([serverId, count]) => count >= FLAPPING_THRESHOLD)
+            .map(([serverId, count]) => ({ serverId, changesLastHour: count }));
+    }
+}
+
+module.exports = {
+    HealthProber,
+    FLAPPING_THRESHOLD
+};
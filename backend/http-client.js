@@ -0,0 +1,19 @@
+// node-fetch v3 is ESM-only, so load it lazily from CommonJS
+const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+
+// fetch() that gives up when the remote side does not answer in time
+async function fetchWithTimeout(url, options = {}, timeout = 5000) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    
+    try {
+        return await fetch(url, { ...options, signal: controller.signal });
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+module.exports = {
+    fetch,
+    fetchWithTimeout
+};
@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+
+// Shared secret between test servers and the API (RECEIPT_SECRET in production)
+const DEFAULT_SECRET = 'speedtest-dev-receipt-secret';
+const RECEIPT_FIELDS = ['sessionId', 'direction', 'bytes', 'duration', 'connections', 'server', 'issuedAt'];
+const RECEIPT_MAX_AGE = 60 * 60 * 1000; // 1 hour
+
+function getReceiptSecret() {
+    return process.env.RECEIPT_SECRET || DEFAULT_SECRET;
+}
+
+// The development secret is public, so production deployments must set their own
+function hasReceiptSecret(env = process.env) {
+    return env.NODE_ENV !== 'production' || Boolean(env.RECEIPT_SECRET);
+}
+
+// Serialize the signed fields in a fixed order so both sides hash identical input
+function canonicalize(receipt) {
+    return JSON.stringify(RECEIPT_FIELDS.map(field => receipt[field] === undefined ? null : receipt[field]));
+}
+
+function computeSignature(receipt, secret) {
+    return crypto.createHmac('sha256', secret).update(canonicalize(receipt)).digest('hex');
+}
+
+// Issue a measurement receipt covering bytes transferred and duration for one session direction
+function signReceipt(fields, secret = getReceiptSecret()) {
+    const receipt = {};
+    for (const field of RECEIPT_FIELDS) {
+        receipt[field] = fields[field] === undefined ? null : fields[field];
+    }
+    receipt.issuedAt = receipt.issuedAt || new Date().toISOString();
+    receipt.signature = computeSignature(receipt, secret);
+    return receipt;
+}
+
+function verifyReceipt(receipt, secret = getReceiptSecret()) {
+    if (!receipt || typeof receipt !== 'object' || typeof receipt.signature !== 'string') {
+        return false;
+    }
+
+    const expected = Buffer.from(computeSignature(receipt, secret), 'hex');
+    const actual = Buffer.from(receipt.signature, 'hex');
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Check the receipts attached to a result document against the speeds the client claims.
+// A result is verified only when both directions carry a valid receipt whose
+// server-side byte count agrees with the claimed speed within the tolerance.
+function verifyResultReceipts(document, sessionId, options = {}) {
+    const tolerance = options.tolerance || 0.25;
+    const maxAge = options.maxAge || RECEIPT_MAX_AGE;
+    const receipts = document.receipts || {};
+    const verification = {};
+
+    for (const direction of ['download', 'upload']) {
+        const receipt = receipts[direction];
+        const check = {
+            valid: false,
+            claimedMbps: document.results[direction],
+            serverMbps: null,
+            deviation: null,
+            reason: null
+        };
+
+        if (!receipt) {
+            check.reason = 'missing receipt';
+        } else if (!verifyReceipt(receipt)) {
+            check.reason = 'invalid signature';
+        } else if (receipt.direction !== direction) {
+            check.reason = 'receipt is for the wrong direction';
+        } else if (String(receipt.sessionId) !== String(sessionId)) {
+            check.reason = 'receipt belongs to another session';
+        } else if (String(receipt.server) !== String(document.server.id)) {
+            check.reason = 'receipt was issued by another server';
+        } else if (!(Date.now() - Date.parse(receipt.issuedAt) <= maxAge)) {
+            check.reason = 'receipt has expired';
+        } else if (!(receipt.duration > 0)) {
+            check.reason = 'receipt covers no transfer time';
+        } else {
+            check.serverMbps = (receipt.bytes * 8) / (receipt.duration * 1000);
+            check.deviation = check.serverMbps > 0
+                ? Math.abs(check.claimedMbps - check.serverMbps) / check.serverMbps
+                : Infinity;
+            check.valid = check.deviation <= tolerance;
+            if (!check.valid) {
+                check.reason = 'claimed speed does not match server byte count';
+            }
+        }
+
+        verification[direction] = check;
+    }
+
+    verification.verified = verification.download.valid && verification.upload.valid;
+    return verification;
+}
+
+// Receipts count once: mark the valid receipts of a verified document as used, and
+// invalidate any that an earlier result already claimed. claim(signature) resolves
+// to true only for the first caller.
+async function claimResultReceipts(document, verification, claim) {
+    for (const direction of ['download', 'upload']) {
+        const check = verification[direction];
+        if (check.valid && !(await claim(document.receipts[direction].signature))) {
+            check.valid = false;
+            check.reason = 'receipt was already used';
+        }
+    }
+
+    verification.verified = verification.download.valid && verification.upload.valid;
+    return verification;
+}
+
+module.exports = {
+    RECEIPT_MAX_AGE,
+    signReceipt,
+    verifyReceipt,
+    verifyResultReceipts,
+    claimResultReceipts,
+    getReceiptSecret,
+    hasReceiptSecret
+};
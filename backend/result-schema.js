@@ -0,0 +1,136 @@
+// Declared schema for result documents submitted to /api/save-results.
+// Unknown properties are allowed so clients can attach extra detail.
+const MAX_SPEED_MBPS = 100000;
+const MAX_LATENCY_MS = 60000;
+
+const resultSchema = {
+    type: 'object',
+    properties: {
+        id: { type: 'string', maxLength: 100 },
+        timestamp: { type: 'string', format: 'date-time' },
+        status: { type: 'string', maxLength: 20 },
+        server: {
+            type: 'object',
+            required: true,
+            properties: {
+                id: { type: ['number', 'string'], required: true },
+                name: { type: 'string', maxLength: 200 },
+                location: { type: 'string', maxLength: 200 }
+            }
+        },
+        results: {
+            type: 'object',
+            required: true,
+            properties: {
+                ping: { type: 'number', required: true, min: 0, max: MAX_LATENCY_MS },
+                jitter: { type: 'number', min: 0, max: MAX_LATENCY_MS },
+                download: { type: 'number', required: true, min: 0, max: MAX_SPEED_MBPS },
+                upload: { type: 'number', required: true, min: 0, max: MAX_SPEED_MBPS },
+                packetLoss: { type: 'number', nullable: true, min: 0, max: 100 },
+                latency: { type: 'object', nullable: true },
+                loadedLatency: { type: 'object', nullable: true },
+                packetLossDetail: { type: 'object', nullable: true },
+                serverObserved: { type: 'object', nullable: true }
+            }
+        },
+        receipts: {
+            type: 'object',
+            nullable: true,
+            properties: {
+                download: { type: 'object', nullable: true },
+                upload: { type: 'object', nullable: true }
+            }
+        },
+        userInfo: {
+            type: 'object',
+            properties: {
+                ip: { type: 'string', maxLength: 100 },
+                isp: { type: 'string', maxLength: 200 }
+            }
+        }
+    }
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function validateField(value, rule, field, errors) {
+    if (value === undefined) {
+        if (rule.required) errors.push({ field, message: 'is required' });
+        return;
+    }
+
+    if (value === null) {
+        if (!rule.nullable) errors.push({ field, message: 'must not be null' });
+        return;
+    }
+
+    const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+    if (!types.includes(typeOf(value))) {
+        errors.push({ field, message: `must be of type ${types.join(' or ')}` });
+        return;
+    }
+
+    if (typeof value === 'number') {
+        if (!isFinite(value)) {
+            errors.push({ field, message: 'must be a finite number' });
+        } else if (rule.min !== undefined && value < rule.min) {
+            errors.push({ field, message: `must be at least ${rule.min}` });
+        } else if (rule.max !== undefined && value > rule.max) {
+            errors.push({ field, message: `must be at most ${rule.max}` });
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+            errors.push({ field, message: `must be at most ${rule.maxLength} characters` });
+        }
+        if (rule.format === 'date-time' && isNaN(Date.parse(value))) {
+            errors.push({ field, message: 'must be an ISO 8601 date-time' });
+        }
+    }
+
+    if (rule.properties && typeof value === 'object') {
+        for (const [key, childRule] of Object.entries(rule.properties)) {
+            validateField(value[key], childRule, field ? `${field}.${key}` : key, errors);
+        }
+    }
+}
+
+// Returns a list of { field, message } for every field that violates the schema
+function validateResult(document) {
+    const errors = [];
+    validateField(document, { ...resultSchema, required: true }, '', errors);
+    return errors.map(error => ({ ...error, field: error.field || 'body' }));
+}
+
+// Values that pass the schema but are not believable for the chosen server.
+// Suspect results are stored but kept out of server statistics.
+function checkPlausibility(document, server) {
+    const reasons = [];
+    const { download, upload } = document.results;
+
+    if (!server) {
+        reasons.push('unknown test server');
+        return reasons;
+    }
+
+    if (server.capacity && download > server.capacity) {
+        reasons.push(`download ${download.toFixed(1)} Mbps exceeds server capacity of ${server.capacity} Mbps`);
+    }
+
+    if (server.capacity && upload > server.capacity) {
+        reasons.push(`upload ${upload.toFixed(1)} Mbps exceeds server capacity of ${server.capacity} Mbps`);
+    }
+
+    return reasons;
+}
+
+module.exports = {
+    resultSchema,
+    validateResult,
+    checkPlausibility
+};
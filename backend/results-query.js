@@ -0,0 +1,199 @@
+const net = require('net');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const SORT_FIELDS = ['timestamp', 'download', 'upload', 'ping'];
+const RANGE_FILTERS = {
+    minDownload: ['download', 'min'],
+    maxDownload: ['download', 'max'],
+    minUpload: ['upload', 'min'],
+    maxUpload: ['upload', 'max'],
+    minPing: ['ping', 'min'],
+    maxPing: ['ping', 'max']
+};
+
+// Accept ISO dates or epoch milliseconds
+function parseTime(value) {
+    if (/^\d+$/.test(value)) return parseInt(value);
+    const time = Date.parse(value);
+    return isNaN(time) ? null : time;
+}
+
+// Strip IPv4-mapped IPv6 prefixes and take the client hop from forwarded lists
+function normalizeIp(ip) {
+    if (!ip) return '';
+    const first = String(ip).split(',')[0].trim();
+    return first.startsWith('::ffff:') && net.isIPv4(first.slice(7)) ? first.slice(7) : first;
+}
+
+function parseSubnet(value) {
+    const [address, prefix] = value.split('/');
+    const type = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+    const bits = parseInt(prefix);
+    const maxBits = type === 'ipv4' ? 32 : 128;
+
+    if (!type || !/^\d+$/.test(prefix || '') || bits > maxBits) return null;
+
+    const blockList = new net.BlockList();
+    blockList.addSubnet(address, bits, type);
+    return blockList;
+}
+
+// Parse and validate the query string of GET /api/results
+function parseResultsQuery(query) {
+    const errors = [];
+    const filters = {};
+
+    for (const field of ['from', 'to']) {
+        if (query[field] !== undefined) {
+            const time = parseTime(query[field]);
+            if (time === null) {
+                errors.push({ field, message: 'must be an ISO date or epoch milliseconds' });
+            } else {
+                filters[field] = time;
+            }
+        }
+    }
+
+    if (query.serverId !== undefined) {
+        filters.serverId = String(query.serverId);
+    }
+
+    if (query.ip !== undefined) {
+        if (!net.isIP(normalizeIp(query.ip))) {
+            errors.push({ field: 'ip', message: 'must be an IPv4 or IPv6 address' });
+        } else {
+            filters.ip = normalizeIp(query.ip);
+        }
+    }
+
+    if (query.subnet !== undefined) {
+        const subnet = parseSubnet(String(query.subnet));
+        if (!subnet) {
+            errors.push({ field: 'subnet', message: 'must be in CIDR notation, e.g. 203.0.113.0/24' });
+        } else {
+            filters.subnet = subnet;
+        }
+    }
+
+    if (query.isp !== undefined) {
+        filters.isp = String(query.isp).toLowerCase();
+    }
+
+    for (const field of Object.keys(RANGE_FILTERS)) {
+        if (query[field] !== undefined) {
+            const value = parseFloat(query[field]);
+            if (isNaN(value)) {
+                errors.push({ field, message: 'must be a number' });
+            } else {
+                filters[field] = value;
+            }
+        }
+    }
+
+    const sort = query.sort || 'timestamp';
+    if (!SORT_FIELDS.includes(sort)) {
+        errors.push({ field: 'sort', message: `must be one of ${SORT_FIELDS.join(', ')}` });
+    }
+
+    const order = query.order || 'desc';
+    if (!['asc', 'desc'].includes(order)) {
+        errors.push({ field: 'order', message: 'must be asc or desc' });
+    }
+
+    const page = query.page !== undefined ? parseInt(query.page) : 1;
+    if (isNaN(page) || page < 1) {
+        errors.push({ field: 'page', message: 'must be a positive integer' });
+    }
+
+    const limit = query.limit !== undefined ? parseInt(query.limit) : DEFAULT_LIMIT;
+    if (isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+        errors.push({ field: 'limit', message: `must be between 1 and ${MAX_LIMIT}` });
+    }
+
+    return { filters, sort, order, page, limit, errors };
+}
+
+function metricValue(result, metric) {
+    const value = result.results && result.results[metric];
+    return typeof value === 'number' ? value : null;
+}
+
+function matchesFilters(result, filters) {
+    if (filters.serverId !== undefined && !(result.server && String(result.server.id) === filters.serverId)) {
+        return false;
+    }
+
+    if (filters.ip || filters.subnet) {
+        const ip = normalizeIp(result.clientIp);
+        if (filters.ip && ip !== filters.ip) return false;
+        if (filters.subnet) {
+            const type = net.isIPv4(ip) ? 'ipv4' : net.isIPv6(ip) ? 'ipv6' : null;
+            if (!type || !filters.subnet.check(ip, type)) return false;
+        }
+    }
+
+    if (filters.isp) {
+        const isp = (result.userInfo && result.userInfo.isp) || '';
+        if (!String(isp).toLowerCase().includes(filters.isp)) return false;
+    }
+
+    for (const [field, [metric, bound]] of Object.entries(RANGE_FILTERS)) {
+        if (filters[field] === undefined) continue;
+
+        const value = metricValue(result, metric);
+        if (value === null) return false;
+        if (bound === 'min' && value < filters[field]) return false;
+        if (bound === 'max' && value > filters[field]) return false;
+    }
+
+    return true;
+}
+
+// Filter, sort and paginate a list of stored results
+function applyResultsQuery(results, query) {
+    const matching = results.filter(result => matchesFilters(result, query.filters));
+    const direction = query.order === 'asc' ? 1 : -1;
+
+    matching.sort((a, b) => {
+        const valueA = query.sort === 'timestamp' ? Date.parse(a.timestamp) : metricValue(a, query.sort);
+        const valueB = query.sort === 'timestamp' ? Date.parse(b.timestamp) : metricValue(b, query.sort);
+
+        // Results missing the sort field always go last
+        const missingA = valueA === null || isNaN(valueA);
+        const missingB = valueB === null || isNaN(valueB);
+        if (missingA || missingB) return missingA - missingB;
+        return (valueA - valueB) * direction;
+    });
+
+    const start = (query.page - 1) * query.limit;
+
+    return {
+        results: matching.slice(start, start + query.limit),
+        pagination: paginationFor(query, matching.length)
+    };
+}
+
+// Queries sorted by timestamp and filtered by time alone can be paged by the store itself
+function isTimeRangeQuery(query) {
+    return query.sort === 'timestamp' &&
+        Object.keys(query.filters).every(field => field === 'from' || field === 'to');
+}
+
+function paginationFor(query, total) {
+    return {
+        page: query.page,
+        limit: query.limit,
+        total: total,
+        totalPages: Math.ceil(total / query.limit)
+    };
+}
+
+module.exports = {
+    parseResultsQuery,
+    applyResultsQuery,
+    isTimeRangeQuery,
+    paginationFor,
+    normalizeIp,
+    parseTime
+};
@@ -0,0 +1,244 @@
+// Live registry of test servers. Instances of test-servers/server-app.js register
+// on startup and send heartbeats; servers that stop reporting are expired.
+// Static servers (e.g. the local development test server) never expire.
+const dns = require('dns');
+const net = require('net');
+
+const REQUIRED_FIELDS = ['name', 'region', 'host', 'port', 'capacity', 'coordinates'];
+
+// Addresses a registered server must not point at: the API would probe and proxy
+// to them, so they would expose the API's own network
+const PRIVATE_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    return PRIVATE_RANGES.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+}
+
+class RegistryError extends Error {
+    constructor(message, details = []) {
+        super(message);
+        this.details = details;
+    }
+}
+
+function validateRegistration(info) {
+    const errors = [];
+
+    if (!info || typeof info !== 'object') {
+        throw new RegistryError('Invalid registration', [{ field: 'body', message: 'must be an object' }]);
+    }
+
+    for (const field of REQUIRED_FIELDS) {
+        if (info[field] === undefined || info[field] === null || info[field] === '') {
+            errors.push({ field, message: 'is required' });
+        }
+    }
+    if (info.id !== undefined && !['string', 'number'].includes(typeof info.id)) {
+        errors.push({ field: 'id', message: 'must be a string or number' });
+    }
+    if (info.port !== undefined && !(Number.isInteger(Number(info.port)) && info.port > 0 && info.port < 65536)) {
+        errors.push({ field: 'port', message: 'must be a valid port number' });
+    }
+    if (info.capacity !== undefined && !(typeof info.capacity === 'number' && info.capacity > 0)) {
+        errors.push({ field: 'capacity', message: 'must be a positive number (Mbps)' });
+    }
+    if (info.coordinates && !(
+        typeof info.coordinates.lat === 'number' && Math.abs(info.coordinates.lat) <= 90 &&
+        typeof info.coordinates.lon === 'number' && Math.abs(info.coordinates.lon) <= 180
+    )) {
+        errors.push({ field: 'coordinates', message: 'must have numeric lat and lon' });
+    }
+
+    if (errors.length > 0) {
+        throw new RegistryError('Invalid registration', errors);
+    }
+}
+
+class ServerRegistry {
+    // options.allowedHosts, when not empty, is the complete list of hosts that may
+    // register; otherwise any host resolving only to public addresses may
+    constructor(options = {}) {
+        this.heartbeatInterval = options.heartbeatInterval || 10 * 1000;
+        this.ttl = options.ttl || 3 * this.heartbeatInterval;
+        this.allowedHosts = (options.allowedHosts || []).map(host => host.toLowerCase());
+        this.lookup = options.lookup || ((host) => dns.promises.lookup(host, { all: true }));
+        this.logger = options.logger;
+        this.servers = new Map();
+        this.pruneTimer = null;
+
+        for (const server of options.staticServers || []) {
+            this.servers.set(String(server.id), {
+                activeConnections: 0,
+                ...server,
+                status: 'online',
+                health: null,
+                static: true,
+                registeredAt: new Date().toISOString(),
+                lastHeartbeat: null,
+                stats: null
+            });
+        }
+    }
+
+    start() {
+        this.pruneTimer = setInterval(() => this.prune(), Math.min(this.ttl, 5000));
+        this.pruneTimer.unref();
+    }
+
+    stop() {
+        if (this.pruneTimer) {
+            clearInterval(this.pruneTimer);
+            this.pruneTimer = null;
+        }
+    }
+
+    // Rejects hosts a server may not register with; resolves to the address to connect to
+    async checkHost(host) {
+        const name = String(host).toLowerCase();
+        const rejected = (message) => new RegistryError('Invalid registration', [{ field: 'host', message }]);
+
+        if (this.allowedHosts.length > 0) {
+            if (!this.allowedHosts.includes(name)) throw rejected('is not in the allowed hosts');
+            return name;
+        }
+
+        if (name === 'localhost' || name.endsWith('.localhost')) {
+            throw rejected('must not be a loopback, link-local or private address');
+        }
+
+        let addresses;
+        try {
+            addresses = net.isIP(name) ? [{ address: name }] : await this.lookup(name);
+        } catch (error) {
+            throw rejected('could not be resolved');
+        }
+        if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+            throw rejected('must not be a loopback, link-local or private address');
+        }
+        return addresses[0].address;
+    }
+
+    // Base URL the API may proxy to for a server, or null when it must not: only
+    // static servers and servers registered with the registry token qualify. The
+    // host is checked again and the address that passed is used, so a name pointed
+    // at a private address after registration is not followed.
+    async proxyTarget(server) {
+        if (server.static) return `http://${server.host}:${server.port}`;
+        if (!server.authenticated) return null;
+
+        const address = await this.checkHost(server.host);
+        return `http://${net.isIPv6(address) ? `[${address}]` : address}:${server.port}`;
+    }
+
+    // Add or refresh a server; a restarted instance re-registers under the same id.
+    // options.authenticated records that the registration carried the registry token.
+    async register(info, options = {}) {
+        validateRegistration(info);
+        await this.checkHost(info.host);
+
+        const id = String(info.id !== undefined ? info.id : `${info.host}:${info.port}`);
+        const existing = this.servers.get(id);
+        if (existing && existing.static) {
+            throw new RegistryError('Invalid registration', [{ field: 'id', message: 'is reserved by a static server' }]);
+        }
+
+        const now = new Date().toISOString();
+        const server = {
+            id: id,
+            name: info.name,
+            region: info.region,
+            location: info.location || info.region,
+            country: info.country || null,
+            city: info.city || null,
+            coordinates: { lat: info.coordinates.lat, lon: info.coordinates.lon },
+            host: info.host,
+            port: Number(info.port),
+            capacity: info.capacity,
+            activeConnections: 0,
+            // A restarted instance keeps its probed health until the prober says otherwise
+            status: existing ? existing.status : 'online',
+            health: existing ? existing.health : null,
+            static: false,
+            authenticated: Boolean(options.authenticated),
+            registeredAt: existing ? existing.registeredAt : now,
+            lastHeartbeat: now,
+            stats: null
+        };
+
+        this.servers.set(id, server);
+        if (this.logger) {
+            this.logger.info(`Test server ${existing ? 're-registered' : 'registered'}: ${id} (${server.host}:${server.port}, ${server.region})`);
+        }
+        return server;
+    }
+
+    // Returns null for unknown servers so the instance knows to register again
+    heartbeat(id, stats = {}) {
+        const server = this.servers.get(String(id));
+        if (!server || server.static) return null;
+
+        server.lastHeartbeat = new Date().toISOString();
+        server.stats = stats;
+        if (typeof stats.activeConnections === 'number') {
+            server.activeConnections = stats.activeConnections;
+        }
+        return server;
+    }
+
+    // Connection count a health probe read from a static server's /health. Registered
+    // servers report instance-wide counts in heartbeats, while a probe reaches one worker.
+    reportConnections(id, activeConnections) {
+        const server = this.servers.get(String(id));
+        if (!server || !server.static) return null;
+
+        server.activeConnections = activeConnections;
+        return server;
+    }
+
+    deregister(id) {
+        const server = this.servers.get(String(id));
+        if (!server || server.static) return false;
+
+        this.servers.delete(String(id));
+        if (this.logger) {
+            this.logger.info(`Test server deregistered: ${id}`);
+        }
+        return true;
+    }
+
+    prune() {
+        const cutoff = Date.now() - this.ttl;
+
+        for (const [id, server] of this.servers) {
+            if (!server.static && Date.parse(server.lastHeartbeat) < cutoff) {
+                this.servers.delete(id);
+                if (this.logger) {
+                    this.logger.warn(`Test server expired after missing heartbeats: ${id}`);
+                }
+            }
+        }
+    }
+
+    get(id) {
+        return this.servers.get(String(id)) || null;
+    }
+
+    list() {
+        return Array.from(this.servers.values());
+    }
+}
+
+module.exports = {
+    ServerRegistry,
+    RegistryError,
+    isPrivateAddress
+};
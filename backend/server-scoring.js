@@ -0,0 +1,102 @@
+const { percentile } = require('./server-stats');
+
+// Weighted scoring used by /api/optimal-server. Every component scores 0..1;
+// components without data score a neutral 0.5 so they neither help nor hurt.
+const WEIGHTS = {
+    distance: 0.35,
+    load: 0.25,
+    health: 0.2,
+    throughput: 0.2
+};
+const NEUTRAL_SCORE = 0.5;
+const DISTANCE_SCALE_KM = 1000;      // distance at which the distance score halves
+const OVERLOAD_UTILIZATION = 0.9;    // servers at or above this utilization are not picked
+const MIN_THROUGHPUT_SAMPLES = 3;
+
+// Clients are grouped by geoip country and region; geoip-lite carries no ASN data
+function clientRegion(geo) {
+    if (!geo || !geo.country) return null;
+    return geo.region ? `${geo.country}-${geo.region}` : geo.country;
+}
+
+// Estimated share of the server's capacity in use, from its reported connections
+function utilization(server, mbpsPerConnection) {
+    if (!server.capacity) return null;
+    return (server.activeConnections || 0) * mbpsPerConnection / server.capacity;
+}
+
+function medianDownload(samples) {
+    const values = samples
+        .map(sample => sample.download)
+        .filter(value => typeof value === 'number' && isFinite(value))
+        .sort((a, b) => a - b);
+
+    return values.length >= MIN_THROUGHPUT_SAMPLES ? percentile(values, 50) : null;
+}
+
+// Score each candidate; context holds { distances, samples, mbpsPerConnection }
+// keyed by server id. Returns candidates best first with their breakdowns.
+function scoreServers(servers, context) {
+    const medians = new Map(servers.map(server => [
+        String(server.id),
+        medianDownload(context.samples.get(String(server.id)) || [])
+    ]));
+    // Throughput is only compared when at least two servers have history for this region
+    const known = Array.from(medians.values()).filter(value => value !== null);
+    const bestMedian = known.length >= 2 ? Math.max(...known) : 0;
+
+    const scored = servers.map((server) => {
+        const distance = context.distances.get(String(server.id));
+        const load = utilization(server, context.mbpsPerConnection);
+        const median = medians.get(String(server.id));
+        const health = server.health;
+
+        const components = {
+            distance: {
+                value: distance === undefined ? null : distance,
+                score: distance === undefined ? NEUTRAL_SCORE : 1 / (1 + distance / DISTANCE_SCALE_KM)
+            },
+            load: {
+                value: load,
+                activeConnections: server.activeConnections || 0,
+                capacity: server.capacity,
+                score: load === null ? NEUTRAL_SCORE : Math.max(0, 1 - load)
+            },
+            health: {
+                value: server.status,
+                successRate: health ? health.successRate : null,
+                avgResponseTime: health ? health.avgResponseTime : null,
+                // Degraded servers keep half their score
+                score: health ? health.successRate * (server.status === 'degraded' ? 0.5 : 1) : NEUTRAL_SCORE
+            },
+            throughput: {
+                value: median,
+                samples: (context.samples.get(String(server.id)) || []).length,
+                score: median === null || bestMedian === 0 ? NEUTRAL_SCORE : median / bestMedian
+            }
+        };
+
+        let total = 0;
+        for (const [name, weight] of Object.entries(WEIGHTS)) {
+            components[name].weight = weight;
+            total += components[name].score * weight;
+        }
+
+        return {
+            server,
+            score: total,
+            overloaded: load !== null && load >= OVERLOAD_UTILIZATION,
+            components
+        };
+    });
+
+    // Overloaded servers rank below all others regardless of score
+    return scored.sort((a, b) => (a.overloaded - b.overloaded) || (b.score - a.score));
+}
+
+module.exports = {
+    WEIGHTS,
+    OVERLOAD_UTILIZATION,
+    clientRegion,
+    scoreServers
+};
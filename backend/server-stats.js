@@ -0,0 +1,120 @@
+const { parseTime } = require('./results-query');
+
+const METRICS = ['ping', 'download', 'upload'];
+const PERCENTILES = [10, 50, 90, 99];
+const BUCKET_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const MAX_BUCKETS = 1000;
+const DEFAULT_SERIES_RANGE = 24 * 60 * 60 * 1000; // 24 hours
+
+// Percentile with linear interpolation between closest ranks
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+// Reduce a list of samples to counts, means and percentiles per metric
+function summarizeSamples(samples) {
+    const summary = {
+        totalTests: samples.length,
+        percentiles: {}
+    };
+
+    for (const metric of METRICS) {
+        const values = samples
+            .map(sample => sample[metric])
+            .filter(value => typeof value === 'number' && isFinite(value))
+            .sort((a, b) => a - b);
+
+        const mean = values.length > 0 ? values.reduce((a, b) => a + b) / values.length : 0;
+        summary[`avg${metric.charAt(0).toUpperCase()}${metric.slice(1)}`] = mean;
+
+        summary.percentiles[metric] = {};
+        for (const p of PERCENTILES) {
+            summary.percentiles[metric][`p${p}`] = percentile(values, p);
+        }
+    }
+
+    summary.lastUpdated = samples.length > 0
+        ? new Date(samples[samples.length - 1].t).toISOString()
+        : null;
+
+    return summary;
+}
+
+// Split samples into fixed-width time buckets covering [from, to)
+function bucketSamples(samples, from, to, bucketMs) {
+    const buckets = [];
+    for (let start = from; start < to; start += bucketMs) {
+        buckets.push({ start, end: Math.min(start + bucketMs, to), samples: [] });
+    }
+
+    for (const sample of samples) {
+        if (sample.t < from || sample.t >= to) continue;
+        buckets[Math.floor((sample.t - from) / bucketMs)].samples.push(sample);
+    }
+
+    return buckets.map(bucket => {
+        const { lastUpdated, ...summary } = summarizeSamples(bucket.samples);
+        return {
+            start: new Date(bucket.start).toISOString(),
+            end: new Date(bucket.end).toISOString(),
+            ...summary
+        };
+    });
+}
+
+// Parse and validate the query string of GET /api/server-stats
+function parseStatsQuery(query) {
+    const errors = [];
+    const parsed = {};
+
+    for (const field of ['from', 'to']) {
+        if (query[field] !== undefined) {
+            const time = parseTime(query[field]);
+            if (time === null) {
+                errors.push({ field, message: 'must be an ISO date or epoch milliseconds' });
+            } else {
+                parsed[field] = time;
+            }
+        }
+    }
+
+    if (query.serverId !== undefined) {
+        parsed.serverId = String(query.serverId);
+    }
+
+    if (query.bucket !== undefined) {
+        const match = /^(\d+)([mhd])$/.exec(query.bucket);
+        if (!match || parseInt(match[1]) === 0) {
+            errors.push({ field: 'bucket', message: 'must be a duration such as 15m, 1h or 1d' });
+        } else {
+            parsed.bucket = parseInt(match[1]) * BUCKET_UNITS[match[2]];
+
+            // Bucketed series need a bounded range
+            parsed.to = parsed.to || Date.now();
+            parsed.from = parsed.from || parsed.to - DEFAULT_SERIES_RANGE;
+
+            if ((parsed.to - parsed.from) / parsed.bucket > MAX_BUCKETS) {
+                errors.push({ field: 'bucket', message: `range would produce more than ${MAX_BUCKETS} buckets` });
+            }
+        }
+    }
+
+    if (parsed.from && parsed.to && parsed.from > parsed.to) {
+        errors.push({ field: 'from', message: 'must not be after to' });
+    }
+
+    return { ...parsed, errors };
+}
+
+module.exports = {
+    percentile,
+    summarizeSamples,
+    bucketSamples,
+    parseStatsQuery
+};
@@ -3,18 +3,32 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
-const { createProxyMiddleware } = require('http-proxy-middleware');
+const { createProxyMiddleware, fixRequestBody } = require('http-proxy-middleware');
 const geoip = require('geoip-lite');
 const UAParser = require('ua-parser-js');
 const winston = require('winston');
 const { v4: uuidv4 } = require('uuid');
+const http = require('http');
 const path = require('path');
 const fs = require('fs');
+const { createStore } = require('./stores');
+const { parseResultsQuery, applyResultsQuery, isTimeRangeQuery, paginationFor, parseTime, normalizeIp } = require('./results-query');
+const { summarizeSamples, bucketSamples, parseStatsQuery } = require('./server-stats');
+const { validateResult, checkPlausibility } = require('./result-schema');
+const { RECEIPT_MAX_AGE, verifyResultReceipts, claimResultReceipts, hasReceiptSecret } = require('./receipts');
+const { createSession, transitionSession, fetchServerMeasurements, compareThroughput } = require('./sessions');
+const { loadAlertRules, AlertManager } = require('./alerts');
+const { ServerRegistry, RegistryError } = require('./server-registry');
+const { HealthProber } = require('./health-prober');
+const { clientRegion, scoreServers } = require('./server-scoring');
 
 // Initialize Express
 const app = express();
 const PORT = process.env.PORT || 3000;
 const TEST_SERVER_PORT = process.env.TEST_SERVER_PORT || 3001;
+const RECEIPT_TOLERANCE = parseFloat(process.env.RECEIPT_TOLERANCE) || 0.25; // 25%
+const MBPS_PER_CONNECTION = parseFloat(process.env.MBPS_PER_CONNECTION) || 25; // expected load of one test connection
+const THROUGHPUT_HISTORY_MS = 7 * 24 * 60 * 60 * 1000; // results considered for server selection
 
 // Configure logging
 const logger = winston.createLogger({
@@ -41,10 +55,10 @@ app.use(helmet({
         directives: {
             defaultSrc: ["'self'"],
             styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com", "https://cdnjs.cloudflare.com"],
-            scriptSrc: ["'self'", "'unsafe-inline'", "https://cdnjs.cloudflare.com"],
+            scriptSrc: ["'self'", "'unsafe-inline'", "https://cdnjs.cloudflare.com", "http://localhost:3001"],
             fontSrc: ["'self'", "https://fonts.gstatic.com", "https://cdnjs.cloudflare.com"],
             imgSrc: ["'self'", "data:", "https:"],
-            connectSrc: ["'self'", "http://localhost:3000", "http://localhost:3001", "ws://localhost:3000"]
+            connectSrc: ["'self'", "http://localhost:3000", "http://localhost:3001", "ws://localhost:3000", "ws://localhost:3001"]
         }
     }
 }));
@@ -56,8 +70,11 @@ app.use(cors({
     credentials: true
 }));
 
-app.use(compression());
-app.use(express.json({ limit: '10mb' }));
+// Proxied test traffic must reach the client byte for byte, so it is never compressed
+app.use(compression({
+    filter: (req, res) => !req.originalUrl.startsWith('/test-server') && compression.filter(req, res)
+}));
+app.use(express.json({ limit: '256kb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Rate limiting
@@ -67,70 +84,99 @@ const apiLimiter = rateLimit({
     message: 'Too many requests from this IP, please try again later.',
     standardHeaders: true,
     legacyHeaders: false,
+    // Test servers heartbeat far more often than this allows; they get their own limit
+    skip: (req) => req.path.startsWith('/registry/')
+});
+
+// Registration and heartbeats, sized for several test server instances behind one address
+const registryLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: parseInt(process.env.REGISTRY_RATE_LIMIT) || 60,
+    message: 'Too many registry requests from this IP, please try again later.',
+    standardHeaders: true,
+    legacyHeaders: false
 });
 
 // Apply rate limiting to API routes
 app.use('/api/', apiLimiter);
+app.use('/api/registry/', registryLimiter);
+
+// Receipts signed with the published development secret prove nothing
+if (!hasReceiptSecret()) {
+    logger.error('RECEIPT_SECRET must be set in production');
+    process.exit(1);
+}
+
+// Anyone who can register a server decides where the API probes and proxies to
+if (app.get('env') !== 'development' && !process.env.REGISTRY_TOKEN) {
+    logger.error('REGISTRY_TOKEN must be set outside development');
+    process.exit(1);
+}
 
-// In-memory store for test results (use Redis in production)
-const testResults = new Map();
-const serverStats = new Map();
+// Result storage (STORE_TYPE=memory|redis)
+const store = createStore({
+    type: process.env.STORE_TYPE || 'memory',
+    url: process.env.REDIS_URL || 'redis://localhost:6379',
+    keyPrefix: process.env.REDIS_KEY_PREFIX || 'speedtest:',
+    resultTtl: parseInt(process.env.RESULT_TTL_SECONDS) || 30 * 24 * 60 * 60, // 30 days
+    maxResults: parseInt(process.env.RESULT_MAX_ENTRIES) || 10000,
+    sessionTtl: parseInt(process.env.SESSION_TTL_SECONDS) || 24 * 60 * 60, // 1 day
+    logger: logger
+});
+
+// Alert rules checked against every saved result (ALERT_RULES or ALERT_RULES_FILE)
+let alertRules;
+try {
+    alertRules = loadAlertRules();
+} catch (error) {
+    logger.error(`Invalid alert rules: ${error.message}`);
+    process.exit(1);
+}
+
+const alertManager = new AlertManager({
+    rules: alertRules,
+    store: store,
+    logger: logger,
+    webhookUrl: process.env.ALERT_WEBHOOK_URL,
+    retries: process.env.ALERT_WEBHOOK_RETRIES !== undefined ? parseInt(process.env.ALERT_WEBHOOK_RETRIES) : 3,
+    retryDelay: parseInt(process.env.ALERT_WEBHOOK_RETRY_DELAY_MS) || 1000
+});
 
-// Test servers configuration
-const testServers = [
-    {
+// Live test server fleet. test-servers/server-app.js instances register themselves;
+// the local development test server is listed statically unless LOCAL_TEST_SERVER=false
+const registry = new ServerRegistry({
+    heartbeatInterval: parseInt(process.env.REGISTRY_HEARTBEAT_MS) || 10 * 1000,
+    ttl: parseInt(process.env.REGISTRY_TTL_MS) || 30 * 1000,
+    // Comma-separated hosts that may register, e.g. for test servers on a private network
+    allowedHosts: (process.env.REGISTRY_ALLOWED_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean),
+    logger: logger,
+    staticServers: process.env.LOCAL_TEST_SERVER === 'false' ? [] : [{
         id: 1,
         name: 'Primary Server',
+        region: 'local',
         location: 'New York, USA',
         country: 'US',
         city: 'New York',
         coordinates: { lat: 40.7128, lon: -74.0060 },
         host: 'localhost',
         port: TEST_SERVER_PORT,
-        capacity: 1000,
-        activeConnections: 0,
-        status: 'online'
-    },
-    {
-        id: 2,
-        name: 'Europe Server',
-        location: 'London, UK',
-        country: 'GB',
-        city: 'London',
-        coordinates: { lat: 51.5074, lon: -0.1278 },
-        host: 'london.speedtest.example.com',
-        port: 3001,
-        capacity: 800,
-        activeConnections: 0,
-        status: 'online'
-    },
-    {
-        id: 3,
-        name: 'Asia Server',
-        location: 'Singapore',
-        country: 'SG',
-        city: 'Singapore',
-        coordinates: { lat: 1.3521, lon: 103.8198 },
-        host: 'singapore.speedtest.example.com',
-        port: 3001,
-        capacity: 600,
-        activeConnections: 0,
-        status: 'online'
-    },
-    {
-        id: 4,
-        name: 'Australia Server',
-        location: 'Sydney, Australia',
-        country: 'AU',
-        city: 'Sydney',
-        coordinates: { lat: -33.8688, lon: 151.2093 },
-        host: 'sydney.speedtest.example.com',
-        port: 3001,
-        capacity: 500,
-        activeConnections: 0,
-        status: 'online'
-    }
-];
+        capacity: 1000
+    }]
+});
+
+// Probe every server's /health and /ping and keep its status current
+const prober = new HealthProber({
+    registry: registry,
+    logger: logger,
+    interval: parseInt(process.env.HEALTH_PROBE_INTERVAL_MS) || 10 * 1000,
+    timeout: parseInt(process.env.HEALTH_PROBE_TIMEOUT_MS) || 2000
+});
+
+// Server fields exposed to clients; heartbeat stats stay internal
+function publicServer(server) {
+    const { stats, ...rest } = server;
+    return rest;
+}
 
 // Calculate distance between two coordinates (Haversine formula)
 function calculateDistance(lat1, lon1, lat2, lon2) {
@@ -177,7 +223,10 @@ app.get('/api/servers', (req, res) => {
         const clientIp = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
         const geo = geoip.lookup(clientIp);
         
-        let serversWithDistance = [...testServers];
+        // Offline servers are left out unless explicitly requested
+        let serversWithDistance = registry.list()
+            .filter(server => req.query.includeOffline === 'true' || server.status !== 'offline')
+            .map(publicServer);
         
         if (geo && geo.ll) {
             serversWithDistance = serversWithDistance.map(server => ({
@@ -194,89 +243,291 @@ app.get('/api/servers', (req, res) => {
     }
 });
 
-// Get optimal server based on client location
-app.get('/api/optimal-server', (req, res) => {
+// Pick the best server for this client by distance, load, health and the median
+// download seen by clients from the same region; the breakdown explains the choice
+app.get('/api/optimal-server', async (req, res) => {
     try {
         const clientIp = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
-        const geo = geoip.lookup(clientIp);
+        const geo = geoip.lookup(normalizeIp(clientIp));
+        const region = clientRegion(geo);
+        
+        const servers = registry.list().filter(server => server.status !== 'offline');
         
-        if (!geo || !geo.ll) {
-            // Return primary server if location cannot be determined
-            return res.json(testServers[0]);
+        if (servers.length === 0) {
+            return res.status(503).json({ error: 'No test servers are available' });
         }
         
-        // Find the closest server
-        let optimalServer = null;
-        let minDistance = Infinity;
+        const distances = new Map();
+        const samples = new Map();
+        const since = Date.now() - THROUGHPUT_HISTORY_MS;
         
-        for (const server of testServers) {
-            const distance = calculateDistance(
-                geo.ll[0], geo.ll[1],
-                server.coordinates.lat, server.coordinates.lon
-            );
+        for (const server of servers) {
+            if (geo && geo.ll) {
+                distances.set(String(server.id), calculateDistance(
+                    geo.ll[0], geo.ll[1],
+                    server.coordinates.lat, server.coordinates.lon
+                ));
+            }
             
-            if (distance < minDistance && server.status === 'online') {
-                minDistance = distance;
-                optimalServer = { ...server, distance };
+            const history = region ? await store.listServerSamples(server.id, { from: since }) : [];
+            samples.set(String(server.id), history.filter(sample => sample.region === region));
+        }
+        
+        const ranked = scoreServers(servers, {
+            distances,
+            samples,
+            mbpsPerConnection: MBPS_PER_CONNECTION
+        });
+        const best = ranked[0];
+        
+        res.json({
+            ...publicServer(best.server),
+            distance: best.components.distance.value,
+            scoring: {
+                clientRegion: region,
+                score: best.score,
+                overloaded: best.overloaded,
+                components: best.components,
+                candidates: ranked.map(candidate => ({
+                    id: candidate.server.id,
+                    name: candidate.server.name,
+                    score: candidate.score,
+                    overloaded: candidate.overloaded
+                }))
             }
+        });
+    } catch (error) {
+        logger.error(`Error finding optimal server: ${error.message}`);
+        res.status(500).json({ error: 'Failed to find optimal server' });
+    }
+});
+
+// Open a test session bound to a server
+app.post('/api/sessions', async (req, res) => {
+    try {
+        const serverId = req.body && req.body.serverId;
+        const server = registry.get(serverId);
+        
+        if (!server) {
+            return res.status(400).json({
+                success: false,
+                error: 'Unknown test server'
+            });
         }
         
-        if (!optimalServer) {
-            optimalServer = testServers[0];
+        if (server.status === 'offline') {
+            return res.status(503).json({
+                success: false,
+                error: 'Test server is offline'
+            });
         }
         
-        // Simulate latency based on distance
-        optimalServer.latency = Math.floor(minDistance * 0.1) + 10;
+        const clientIp = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
+        const session = createSession(server, clientIp);
+        await store.saveSession(session);
         
-        res.json(optimalServer);
+        logger.info(`Test session opened: ${session.id} on server ${server.id}`);
+        res.status(201).json({
+            success: true,
+            session: session
+        });
     } catch (error) {
-        logger.error(`Error finding optimal server: ${error.message}`);
-        res.status(500).json({ error: 'Failed to find optimal server' });
+        logger.error(`Error opening session: ${error.message}`);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to open session' 
+        });
+    }
+});
+
+// Get a test session
+app.get('/api/sessions/:id', async (req, res) => {
+    try {
+        const session = await store.getSession(req.params.id);
+        
+        if (!session) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Session not found' 
+            });
+        }
+        
+        res.json({
+            success: true,
+            session: session
+        });
+    } catch (error) {
+        logger.error(`Error getting session: ${error.message}`);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to get session' 
+        });
+    }
+});
+
+// Move a session through its lifecycle: start, close (finalizes server-measured results) or abort
+app.post('/api/sessions/:id/:action(start|close|abort)', async (req, res) => {
+    try {
+        const session = await store.getSession(req.params.id);
+        
+        if (!session) {
+            return res.status(404).json({ 
+                success: false, 
+                error: 'Session not found' 
+            });
+        }
+        
+        const targetState = { start: 'running', close: 'complete', abort: 'aborted' }[req.params.action];
+        
+        if (!transitionSession(session, targetState)) {
+            return res.status(409).json({
+                success: false,
+                error: `Cannot ${req.params.action} a session that is ${session.state}`
+            });
+        }
+        
+        if (targetState === 'complete') {
+            session.serverMeasured = await fetchServerMeasurements(session);
+        }
+        
+        await store.saveSession(session);
+        
+        logger.info(`Test session ${session.id} is now ${session.state}`);
+        res.json({
+            success: true,
+            session: session
+        });
+    } catch (error) {
+        logger.error(`Error updating session: ${error.message}`);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to update session' 
+        });
     }
 });
 
 // Save test results
-app.post('/api/save-results', (req, res) => {
+app.post('/api/save-results', async (req, res) => {
     try {
-        const testId = uuidv4();
+        const errors = validateResult(req.body);
+        
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid test results',
+                details: errors
+            });
+        }
+        
         const results = req.body;
         
+        // A stopped run is only a partial measurement
+        if (results.status === 'aborted') {
+            return res.status(409).json({
+                success: false,
+                error: 'Aborted test runs are not saved'
+            });
+        }
+        
+        const session = results.id ? await store.getSession(results.id) : null;
+        
+        // Results submitted for a session keep the session id end to end
+        if (session) {
+            if (session.state === 'aborted' || session.resultId) {
+                return res.status(409).json({
+                    success: false,
+                    error: session.resultId
+                        ? 'Results were already submitted for this session'
+                        : 'Cannot save results for an aborted session'
+                });
+            }
+            
+            if (String(session.serverId) !== String(results.server.id)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid test results',
+                    details: [{ field: 'server.id', message: 'does not match the session server' }]
+                });
+            }
+        }
+        
+        const testId = session ? session.id : uuidv4();
+        const server = registry.get(results.server.id);
+        const suspectReasons = checkPlausibility(results, server);
+        
+        // Receipts are bound to the session id the client measured under
+        const verification = verifyResultReceipts(results, results.id, { tolerance: RECEIPT_TOLERANCE });
+        await claimResultReceipts(results, verification, (signature) =>
+            store.claimReceipt(signature, Math.ceil(RECEIPT_MAX_AGE / 1000)));
+        
         // Add metadata
         results.id = testId;
         results.timestamp = new Date().toISOString();
         results.clientIp = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
+        results.suspect = suspectReasons.length > 0;
+        results.suspectReasons = suspectReasons;
+        results.verified = verification.verified;
+        results.verification = verification;
+        
+        if (session) {
+            results.sessionId = session.id;
+            results.serverMeasured = session.serverMeasured;
+        }
+        
+        // Server-observed throughput comes from the closed session, or failing that from the receipts
+        const serverMeasured = (session && session.serverMeasured) || {
+            download: { speedMbps: verification.download.serverMbps },
+            upload: { speedMbps: verification.upload.serverMbps }
+        };
+        results.throughput = compareThroughput(results.results, serverMeasured, RECEIPT_TOLERANCE);
         
         // Store results
-        testResults.set(testId, results);
-        
-        // Update server stats
-        if (results.server && results.server.id) {
-            const serverId = results.server.id;
-            const stats = serverStats.get(serverId) || {
-                totalTests: 0,
-                avgPing: 0,
-                avgDownload: 0,
-                avgUpload: 0,
-                lastUpdated: new Date().toISOString()
-            };
-            
-            stats.totalTests++;
-            stats.avgPing = (stats.avgPing * (stats.totalTests - 1) + results.results.ping) / stats.totalTests;
-            stats.avgDownload = (stats.avgDownload * (stats.totalTests - 1) + results.results.download) / stats.totalTests;
-            stats.avgUpload = (stats.avgUpload * (stats.totalTests - 1) + results.results.upload) / stats.totalTests;
-            stats.lastUpdated = new Date().toISOString();
-            
-            serverStats.set(serverId, stats);
+        await store.saveResult(results);
+        
+        if (session) {
+            session.resultId = testId;
+            await store.saveSession(session);
         }
         
-        logger.info(`Test results saved: ${testId}`);
+        // Record a sample for per-server statistics, unless the result is implausible
+        if (!results.suspect) {
+            await store.addServerSample(results.server.id, {
+                id: testId,
+                t: Date.parse(results.timestamp),
+                ping: results.results.ping,
+                download: results.results.download,
+                upload: results.results.upload,
+                region: clientRegion(geoip.lookup(normalizeIp(results.clientIp)))
+            });
+        }
         
-        // In production, save to database here
-        // await database.saveResults(results);
+        // Implausible results are kept out of alerting as well
+        let alerts = [];
+        if (!results.suspect) {
+            try {
+                alerts = await alertManager.evaluate(results);
+            } catch (error) {
+                logger.error(`Error evaluating alerts for ${testId}: ${error.message}`);
+            }
+        }
+        
+        if (results.suspect) {
+            logger.warn(`Suspect test results ${testId}: ${suspectReasons.join('; ')}`);
+        }
+        for (const [direction, comparison] of Object.entries(results.throughput)) {
+            if (comparison && comparison.flagged) {
+                logger.warn(`Throughput discrepancy in ${testId} ${direction}: client ${comparison.clientMbps.toFixed(1)} Mbps, server ${comparison.serverMbps.toFixed(1)} Mbps`);
+            }
+        }
+        logger.info(`Test results saved: ${testId}`);
         
         res.json({ 
             success: true, 
             testId: testId,
+            suspect: results.suspect,
+            verified: results.verified,
+            throughput: results.throughput,
+            alerts: alerts.map(alert => ({ id: alert.id, ruleId: alert.ruleId, description: alert.description })),
             message: 'Results saved successfully'
         });
     } catch (error) {
@@ -288,11 +539,58 @@ app.post('/api/save-results', (req, res) => {
     }
 });
 
+// List test results with filters, sorting and pagination
+app.get('/api/results', async (req, res) => {
+    try {
+        const query = parseResultsQuery(req.query);
+        
+        if (query.errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid query parameters',
+                details: query.errors
+            });
+        }
+        
+        if (isTimeRangeQuery(query)) {
+            const page = await store.listResultsPage({
+                from: query.filters.from,
+                to: query.filters.to,
+                order: query.order,
+                offset: (query.page - 1) * query.limit,
+                limit: query.limit
+            });
+            
+            return res.json({
+                success: true,
+                results: page.results,
+                pagination: paginationFor(query, page.total)
+            });
+        }
+        
+        const results = await store.listResults({
+            from: query.filters.from,
+            to: query.filters.to
+        });
+        
+        res.json({
+            success: true,
+            ...applyResultsQuery(results, query)
+        });
+    } catch (error) {
+        logger.error(`Error listing results: ${error.message}`);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to list results' 
+        });
+    }
+});
+
 // Get test results by ID
-app.get('/api/results/:id', (req, res) => {
+app.get('/api/results/:id', async (req, res) => {
     try {
         const testId = req.params.id;
-        const results = testResults.get(testId);
+        const results = await store.getResult(testId);
         
         if (!results) {
             return res.status(404).json({ 
@@ -314,20 +612,31 @@ app.get('/api/results/:id', (req, res) => {
     }
 });
 
-// Get server statistics
-app.get('/api/server-stats', (req, res) => {
+// Get server statistics, optionally as a bucketed time series
+// e.g. /api/server-stats?from=2024-01-01&to=2024-01-02&bucket=1h
+app.get('/api/server-stats', async (req, res) => {
     try {
+        const query = parseStatsQuery(req.query);
+        
+        if (query.errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid query parameters',
+                details: query.errors
+            });
+        }
+        
         const stats = {};
         
-        for (const [serverId, server] of testServers.entries()) {
-            stats[serverId] = {
-                ...server,
-                stats: serverStats.get(server.id) || {
-                    totalTests: 0,
-                    avgPing: 0,
-                    avgDownload: 0,
-                    avgUpload: 0
-                }
+        for (const server of registry.list()) {
+            if (query.serverId && String(server.id) !== query.serverId) continue;
+            
+            const samples = await store.listServerSamples(server.id, { from: query.from, to: query.to });
+            
+            stats[server.id] = {
+                ...publicServer(server),
+                stats: summarizeSamples(samples),
+                ...(query.bucket && { series: bucketSamples(samples, query.from, query.to, query.bucket) })
             };
         }
         
@@ -345,6 +654,114 @@ app.get('/api/server-stats', (req, res) => {
     }
 });
 
+// Alert history, newest first; filter with from, to, ruleId and limit
+app.get('/api/alerts', async (req, res) => {
+    try {
+        const range = {};
+        for (const field of ['from', 'to']) {
+            if (req.query[field] !== undefined) {
+                range[field] = parseTime(req.query[field]);
+                if (range[field] === null) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `${field} must be an ISO date or epoch milliseconds`
+                    });
+                }
+            }
+        }
+        
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+        let alerts = await store.listAlerts(range);
+        if (req.query.ruleId) {
+            alerts = alerts.filter(alert => alert.ruleId === req.query.ruleId);
+        }
+        
+        res.json({
+            success: true,
+            total: alerts.length,
+            alerts: alerts.slice(0, limit)
+        });
+    } catch (error) {
+        logger.error(`Error listing alerts: ${error.message}`);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to list alerts' 
+        });
+    }
+});
+
+// Configured alert rules
+app.get('/api/alerts/rules', (req, res) => {
+    res.json({
+        success: true,
+        rules: alertManager.rules.map(({ webhook, ...rule }) => rule)
+    });
+});
+
+// Test server registration; requires REGISTRY_TOKEN as a bearer token, which is
+// only optional in development
+function requireRegistryToken(req, res, next) {
+    const token = process.env.REGISTRY_TOKEN;
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid registry token'
+        });
+    }
+    next();
+}
+
+app.post('/api/registry/servers', requireRegistryToken, async (req, res) => {
+    try {
+        // With a token configured, requireRegistryToken has already checked it
+        const server = await registry.register(req.body, { authenticated: Boolean(process.env.REGISTRY_TOKEN) });
+        
+        res.status(201).json({
+            success: true,
+            server: publicServer(server),
+            heartbeatInterval: registry.heartbeatInterval
+        });
+    } catch (error) {
+        if (error instanceof RegistryError) {
+            return res.status(400).json({
+                success: false,
+                error: error.message,
+                details: error.details
+            });
+        }
+        
+        logger.error(`Error registering test server: ${error.message}`);
+        res.status(500).json({ 
+            success: false, 
+            error: 'Failed to register test server' 
+        });
+    }
+});
+
+// Heartbeat with the server's /stats data; 404 tells the server to register again
+app.put('/api/registry/servers/:id/heartbeat', requireRegistryToken, (req, res) => {
+    const server = registry.heartbeat(req.params.id, req.body || {});
+    
+    if (!server) {
+        return res.status(404).json({
+            success: false,
+            error: 'Test server is not registered'
+        });
+    }
+    
+    res.json({
+        success: true,
+        heartbeatInterval: registry.heartbeatInterval
+    });
+});
+
+app.delete('/api/registry/servers/:id', requireRegistryToken, (req, res) => {
+    res.json({
+        success: true,
+        removed: registry.deregister(req.params.id)
+    });
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
     res.json({
@@ -352,15 +769,40 @@ app.get('/api/health', (req, res) => {
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
         memory: process.memoryUsage(),
-        servers: testServers.map(s => ({
+        servers: registry.list().map(s => ({
             id: s.id,
             name: s.name,
+            region: s.region,
             status: s.status,
-            activeConnections: s.activeConnections
+            activeConnections: s.activeConnections,
+            health: s.health,
+            lastHeartbeat: s.lastHeartbeat,
+            stats: s.stats
         }))
     });
 });
 
+// Test server status changes, newest first, plus the servers flapping within the last hour
+app.get('/api/health/history', (req, res) => {
+    const from = req.query.from !== undefined ? parseTime(req.query.from) : null;
+    if (req.query.from !== undefined && from === null) {
+        return res.status(400).json({
+            success: false,
+            error: 'from must be an ISO date or epoch milliseconds'
+        });
+    }
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+    const changes = prober.listHistory({ serverId: req.query.serverId, from });
+    
+    res.json({
+        success: true,
+        total: changes.length,
+        changes: changes.slice(0, limit),
+        flapping: prober.listFlapping()
+    });
+});
+
 // Ping endpoint for latency testing
 app.get('/api/ping', (req, res) => {
     res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
@@ -369,10 +811,67 @@ app.get('/api/ping', (req, res) => {
     res.send('pong');
 });
 
-// Proxy requests to test servers
-app.use('/test-server', createProxyMiddleware({
-    target: `http://localhost:${TEST_SERVER_PORT}`,
+// Proxy requests to the test server chosen with ?serverId=, so browsers can test
+// any registered server from the API's origin (the engine's proxy mode, used by
+// pages served over HTTPS). Bodies are streamed straight through.
+//
+// Only static servers and servers registered with the registry token are proxied,
+// so a registration cannot turn the API into a proxy into its own network.
+async function lookupProxyTarget(serverId) {
+    const server = serverId !== undefined && serverId !== null ? registry.get(serverId) : null;
+    
+    if (!server) {
+        return { status: 404, error: 'Unknown test server' };
+    }
+    
+    if (server.status === 'offline') {
+        return { status: 503, error: 'Test server is offline' };
+    }
+    
+    const target = await registry.proxyTarget(server).catch(() => null);
+    if (!target) {
+        return { status: 403, error: 'Test server is not available through the proxy' };
+    }
+    
+    return { server, target };
+}
+
+// Count the connection against the server it actually goes to
+function countProxyConnection(server, connection) {
+    server.activeConnections++;
+    connection.on('close', () => {
+        server.activeConnections = Math.max(0, server.activeConnections - 1);
+    });
+}
+
+async function resolveProxyTarget(req, res, next) {
+    const { server, target, status, error } = await lookupProxyTarget(req.query.serverId);
+    
+    if (error) {
+        return res.status(status).json({
+            success: false,
+            error: error
+        });
+    }
+    
+    req.testServer = server;
+    req.proxyTarget = target;
+    countProxyConnection(server, res);
+    
+    next();
+}
+
+// Reuse connections to test servers across proxied requests
+const proxyAgent = new http.Agent({ keepAlive: true, maxSockets: 256 });
+
+// No ws: true; that would subscribe to upgrades itself and skip the target checks,
+// so websocket upgrades are passed in by proxyTestServerUpgrade instead
+const testServerProxy = createProxyMiddleware({
+    target: `http://localhost:${TEST_SERVER_PORT}`, // replaced per request by router
+    router: (req) => req.proxyTarget,
+    agent: proxyAgent,
     changeOrigin: true,
+    logLevel: 'silent', // errors are logged by onError
     pathRewrite: {
         '^/test-server': ''
     },
@@ -381,19 +880,56 @@ app.use('/test-server', createProxyMiddleware({
         const clientIp = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
         proxyReq.setHeader('X-Client-IP', clientIp);
         
-        // Update server connection count
-        const serverId = req.query.serverId || 1;
-        const server = testServers.find(s => s.id == serverId);
-        if (server) {
-            server.activeConnections++;
-            
-            // Decrease count when connection ends
-            req.on('close', () => {
-                server.activeConnections = Math.max(0, server.activeConnections - 1);
+        // JSON bodies were already consumed by express.json(); send them on again
+        fixRequestBody(proxyReq, req);
+    },
+    onProxyRes: (proxyRes) => {
+        // Keep reverse proxies in front of the API from buffering test payloads
+        proxyRes.headers['x-accel-buffering'] = 'no';
+    },
+    onError: (error, req, res) => {
+        logger.warn(`Proxy error for test server ${req.testServer.id}: ${error.message}`);
+        
+        // Websocket upgrades hand over the bare socket rather than a response
+        if (typeof res.status !== 'function') {
+            res.destroy();
+        } else if (!res.headersSent) {
+            res.status(502).json({
+                success: false,
+                error: 'Test server did not respond'
             });
+        } else {
+            res.destroy();
         }
     }
-}));
+});
+
+app.use('/test-server', resolveProxyTarget, testServerProxy);
+
+// socket.io's websocket upgrade for the latency and packet loss channel bypasses
+// Express, so the target is looked up and checked here as well
+async function proxyTestServerUpgrade(req, socket, head) {
+    if (!req.url.startsWith('/test-server/')) {
+        return socket.destroy();
+    }
+    
+    const serverId = new URL(req.url, 'http://localhost').searchParams.get('serverId');
+    const { server, target, status, error } = await lookupProxyTarget(serverId);
+    if (error) {
+        socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\n\r\n`);
+        return;
+    }
+    
+    req.testServer = server;
+    req.proxyTarget = target;
+    countProxyConnection(server, socket);
+    testServerProxy.upgrade(req, socket, head);
+}
+
+// The measurement engine ships with the backend (the CLI runs it too); pages load it from here
+app.get('/speedtest-engine.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'speedtest-engine.js'));
+});
 
 // Serve static files in production
 if (process.env.NODE_ENV === 'production') {
@@ -431,24 +967,38 @@ app.use((req, res) => {
     });
 });
 
-// Start server
-app.listen(PORT, () => {
-    logger.info(`SpeedTest API server running on port ${PORT}`);
-    console.log(`🚀 API Server: http://localhost:${PORT}`);
-    console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
-    console.log(`🌐 User info: http://localhost:${PORT}/api/user-info`);
-    console.log(`🖥️  Servers list: http://localhost:${PORT}/api/servers`);
-});
+// Start server once the result store is ready
+store.connect()
+    .then(() => {
+        registry.start();
+        prober.start();
+        const server = app.listen(PORT, () => {
+            logger.info(`SpeedTest API server running on port ${PORT}`);
+            console.log(`🚀 API Server: http://localhost:${PORT}`);
+            console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
+            console.log(`🌐 User info: http://localhost:${PORT}/api/user-info`);
+            console.log(`🖥️  Servers list: http://localhost:${PORT}/api/servers`);
+        });
+        server.on('upgrade', proxyTestServerUpgrade);
+    })
+    .catch((error) => {
+        logger.error(`Failed to connect to result store: ${error.message}`);
+        process.exit(1);
+    });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
     logger.info('SIGTERM received, shutting down gracefully');
-    process.exit(0);
+    registry.stop();
+    prober.stop();
+    store.close().finally(() => process.exit(0));
 });
 
 process.on('SIGINT', () => {
     logger.info('SIGINT received, shutting down gracefully');
-    process.exit(0);
+    registry.stop();
+    prober.stop();
+    store.close().finally(() => process.exit(0));
 });
 
 module.exports = app;
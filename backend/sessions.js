@@ -0,0 +1,108 @@
+const { v4: uuidv4 } = require('uuid');
+const { verifyReceipt } = require('./receipts');
+const { fetchWithTimeout } = require('./http-client');
+
+// Test session lifecycle: pending -> running -> complete, or aborted before completion
+const SESSION_STATES = ['pending', 'running', 'complete', 'aborted'];
+const TRANSITIONS = {
+    pending: ['running', 'aborted'],
+    running: ['complete', 'aborted'],
+    complete: [],
+    aborted: []
+};
+
+function createSession(server, clientIp) {
+    const now = new Date().toISOString();
+
+    return {
+        id: uuidv4(),
+        serverId: server.id,
+        server: {
+            id: server.id,
+            name: server.name,
+            host: server.host,
+            port: server.port
+        },
+        state: 'pending',
+        clientIp: clientIp,
+        createdAt: now,
+        updatedAt: now,
+        serverMeasured: null,
+        resultId: null
+    };
+}
+
+function canTransition(session, state) {
+    return TRANSITIONS[session.state].includes(state);
+}
+
+// Move a session to a new state; returns false if the transition is not allowed
+function transitionSession(session, state) {
+    if (!canTransition(session, state)) {
+        return false;
+    }
+
+    session.state = state;
+    session.updatedAt = new Date().toISOString();
+    session[`${state}At`] = session.updatedAt;
+    return true;
+}
+
+// Fetch the throughput the test server observed for this session, per direction
+// and per connection. Directions without a valid signed receipt are dropped.
+async function fetchServerMeasurements(session) {
+    try {
+        const response = await fetchWithTimeout(
+            `http://${session.server.host}:${session.server.port}/sessions/${session.id}`
+        );
+        if (!response.ok) return null;
+        
+        const data = await response.json();
+        const measured = {};
+        
+        for (const direction of ['download', 'upload']) {
+            const observed = data.session[direction];
+            measured[direction] = observed && verifyReceipt(observed.receipt) ? observed : null;
+        }
+        
+        return measured;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Put client-observed and server-observed throughput side by side and flag
+// directions where they disagree by more than the tolerance
+function compareThroughput(results, serverMeasured, tolerance) {
+    const comparison = {};
+
+    for (const direction of ['download', 'upload']) {
+        const observed = serverMeasured && serverMeasured[direction];
+        if (!observed || typeof observed.speedMbps !== 'number') {
+            comparison[direction] = null;
+            continue;
+        }
+
+        const discrepancy = observed.speedMbps > 0
+            ? (results[direction] - observed.speedMbps) / observed.speedMbps
+            : null;
+
+        comparison[direction] = {
+            clientMbps: results[direction],
+            serverMbps: observed.speedMbps,
+            discrepancy: discrepancy,
+            flagged: discrepancy === null || Math.abs(discrepancy) > tolerance
+        };
+    }
+
+    return comparison;
+}
+
+module.exports = {
+    SESSION_STATES,
+    createSession,
+    canTransition,
+    transitionSession,
+    fetchServerMeasurements,
+    compareThroughput
+};
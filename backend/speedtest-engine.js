@@ -0,0 +1,1130 @@
+// Framework-agnostic speed test measurement engine. It knows the test protocol
+// (sessions, test plans, ping, packet loss, timed download/upload streams,
+// receipts) but nothing about the page: callers subscribe to its events.
+//
+// Works as a browser global (SpeedTestEngine) or a CommonJS module under Node,
+// where a fetch implementation and a socket.io client can be passed in. The API
+// serves this file to pages at /speedtest-engine.js.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SpeedTestEngine = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DEFAULT_CONFIG = {
+        downloadSize: 50 * 1024 * 1024, // 50MB, largest single download request
+        downloadChunkSize: 1024 * 1024, // 1MB, first request size per stream
+        uploadSize: 25 * 1024 * 1024,   // 25MB, largest single upload request
+        uploadChunkSize: 512 * 1024,    // 512KB, first request size per stream
+        testDuration: 10000,            // 10 seconds per test
+        warmupDuration: 2000,           // slow-start window excluded from results
+        minStreams: 2,
+        maxStreams: 8,
+        streamLimit: null,              // optional cap on the planned stream count
+        streamScaleInterval: 1000,      // ms between stream scaling decisions
+        sampleInterval: 100,            // ms between per-stream byte samples
+        chartWindow: 500,               // ms of transfer averaged into each series point
+        pingCount: 10,
+        pingInterval: 200,              // ms between idle pings
+        lossProbeCount: 200,
+        lossProbeInterval: 10,          // ms between loss probes
+        lossProbeTimeout: 1000,         // echoes later than this count as lost
+        loadedProbeInterval: 250,       // ms between latency probes under load
+        discrepancyTolerance: 0.25      // client vs server throughput mismatch to flag
+    };
+
+    const PHASES = ['ping', 'packetLoss', 'download', 'upload', 'verify'];
+
+    function createAbortError() {
+        const error = new Error('Test aborted');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    function summarizeLatency(samples) {
+        const sorted = [...samples].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        const median = sorted.length % 2 === 0
+            ? (sorted[middle - 1] + sorted[middle]) / 2
+            : sorted[middle];
+
+        // Jitter as the mean difference between consecutive samples
+        let jitter = 0;
+        if (samples.length > 1) {
+            for (let i = 1; i < samples.length; i++) {
+                jitter += Math.abs(samples[i] - samples[i - 1]);
+            }
+            jitter /= samples.length - 1;
+        }
+
+        return {
+            min: sorted[0],
+            max: sorted[sorted.length - 1],
+            median: median,
+            mean: samples.reduce((a, b) => a + b) / samples.length,
+            jitter: jitter,
+            samples: samples.length
+        };
+    }
+
+    function gradeBufferbloat(increase) {
+        if (increase < 5) return 'A+';
+        if (increase < 30) return 'A';
+        if (increase < 60) return 'B';
+        if (increase < 200) return 'C';
+        if (increase < 400) return 'D';
+        return 'F';
+    }
+
+    // URL of a test server endpoint. With options.proxy set, requests go through the
+    // API's /test-server route instead, which forwards them to the server named by
+    // serverId; pages served over HTTPS need this to reach plain HTTP test servers.
+    function testServerUrl(server, path, params = {}, options = {}) {
+        const query = options.proxy ? { serverId: server.id, ...params } : params;
+        const search = Object.keys(query)
+            .map(key => `${key}=${encodeURIComponent(query[key])}`)
+            .join('&');
+        const base = options.proxy
+            ? `${options.apiBase || ''}/test-server`
+            : `http://${server.host}:${server.port}`;
+
+        return search ? `${base}${path}?${search}` : `${base}${path}`;
+    }
+
+    // Latency to a test server from several HTTP round trips, used to rank servers
+    // before a test. The first request pays for DNS and connection setup and is
+    // not counted. A server that answers none of the probes is unreachable.
+    // options.proxy and options.apiBase probe through the API as the engine does.
+    async function probeServerLatency(server, options = {}) {
+        const samples = options.samples || 5;
+        const timeout = options.timeout || 2000;
+        const fetchImpl = options.fetch || ((...args) => fetch(...args));
+        const latencies = [];
+        let lastError = null;
+
+        for (let i = 0; i <= samples; i++) {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), timeout);
+            const startTime = performance.now();
+
+            try {
+                const response = await fetchImpl(
+                    testServerUrl(server, '/ping', { t: `${Date.now()}-${i}` }, options),
+                    { cache: 'no-store', signal: controller.signal }
+                );
+                const latency = performance.now() - startTime;
+                await response.text();
+
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                if (i > 0) {
+                    latencies.push(latency);
+                }
+            } catch (error) {
+                lastError = error.name === 'AbortError' ? new Error('Timeout') : error;
+
+                // No answer to the warm-up request: do not wait out the remaining probes
+                if (i === 0) break;
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+
+        if (latencies.length === 0) {
+            return {
+                reachable: false,
+                latency: null,
+                error: lastError ? lastError.message : 'No response'
+            };
+        }
+
+        const summary = summarizeLatency(latencies);
+        return {
+            reachable: true,
+            latency: summary.median,
+            jitter: summary.jitter,
+            min: summary.min,
+            max: summary.max,
+            samples: latencies.length,
+            lost: samples - latencies.length
+        };
+    }
+
+    class SpeedTestEngine {
+        // options.config overrides DEFAULT_CONFIG; options.apiBase prefixes API
+        // calls (empty in the browser); options.fetch and options.io replace the
+        // global fetch and socket.io client, e.g. node-fetch and socket.io-client.
+        // options.phases runs a subset of PHASES; options.warn receives recoverable
+        // problems (message, error) instead of the console. options.proxy sends all
+        // test traffic through the API's /test-server route.
+        constructor(options = {}) {
+            this.config = { ...DEFAULT_CONFIG, ...(options.config || {}) };
+            this.apiBase = options.apiBase || '';
+            this.proxy = Boolean(options.proxy);
+            this.fetch = options.fetch || ((...args) => fetch(...args));
+            this.io = options.io || null;
+            this.phases = options.phases || PHASES;
+            this.warn = options.warn || ((message, error) => console.warn(message, error));
+            this.listeners = {};
+
+            this.running = false;
+            this.aborted = false;
+            this.abortController = null;
+            this.phase = null;
+            this.server = null;
+            this.sessionId = null;
+            this.sessionOpen = false;
+            this.plan = null;
+            this.results = null;
+            this.receipts = {};
+            this.latencySocket = null;
+            this.uploadPayload = null;
+            this.startTime = null;
+            this.throughputWindow = [];
+        }
+
+        on(event, listener) {
+            (this.listeners[event] = this.listeners[event] || []).push(listener);
+            return this;
+        }
+
+        off(event, listener) {
+            this.listeners[event] = (this.listeners[event] || []).filter(l => l !== listener);
+            return this;
+        }
+
+        emit(event, data) {
+            (this.listeners[event] || []).slice().forEach(listener => listener(data));
+        }
+
+        // Run a complete test against one server. Emits 'session', 'phase-start',
+        // 'sample', 'phase-end' and finally 'result' or 'error'; the returned
+        // promise settles the same way. An aborted run rejects with an AbortError
+        // whose result property holds the partial result, marked as aborted.
+        async run(server) {
+            if (this.running) {
+                throw new Error('A test is already running');
+            }
+
+            this.running = true;
+            this.aborted = false;
+            this.abortController = new AbortController();
+            this.phase = null;
+            this.server = server;
+            this.plan = null;
+            this.receipts = {};
+            this.throughputWindow = [];
+            this.startTime = performance.now();
+            this.results = {
+                ping: 0,
+                jitter: 0,
+                download: 0,
+                upload: 0,
+                packetLoss: 0,
+                packetLossDetail: null,
+                latency: null,
+                loadedLatency: null,
+                serverObserved: null,
+                plan: null,
+                downloadDetail: null,
+                uploadDetail: null,
+                series: { download: [], upload: [], latency: [] }
+            };
+
+            try {
+                // Open a session so client, test server and API share one test ID
+                const testId = await this.openSession();
+                this.emit('session', { id: testId, server: server });
+
+                await this.fetchTestPlan();
+
+                for (const phase of this.phases) {
+                    this.checkAborted();
+                    this.phase = phase;
+                    this.emit('phase-start', { phase });
+                    await this.runPhase(phase);
+                    this.emit('phase-end', { phase, results: this.results });
+                }
+
+                this.checkAborted();
+                await this.updateSession('close');
+
+                const result = this.buildResult('complete');
+                this.emit('result', result);
+                return result;
+            } catch (error) {
+                await this.updateSession('abort');
+                if (error.name === 'AbortError') {
+                    await this.releaseServerSession();
+                    error.result = this.buildResult('aborted');
+                }
+                this.emit('error', error);
+                throw error;
+            } finally {
+                this.closeLatencyChannel();
+                this.running = false;
+            }
+        }
+
+        buildResult(status) {
+            const result = {
+                id: this.sessionId,
+                timestamp: new Date().toISOString(),
+                status: status,
+                server: this.server,
+                results: this.results,
+                receipts: this.receipts
+            };
+
+            if (status === 'aborted') {
+                result.abortedPhase = this.phase;
+            }
+
+            return result;
+        }
+
+        // Stop the running test. Every pending request, probe and timer is cancelled
+        // through the shared signal, the latency socket is closed at once and run()
+        // rejects with an AbortError.
+        abort() {
+            if (!this.running || this.aborted) return;
+
+            this.aborted = true;
+            this.abortController.abort();
+            this.closeLatencyChannel();
+        }
+
+        checkAborted() {
+            if (this.aborted) {
+                throw createAbortError();
+            }
+        }
+
+        // Resolves after ms, or early when the test is aborted
+        wait(ms) {
+            return new Promise((resolve) => {
+                const signal = this.abortController.signal;
+                const timer = setTimeout(() => {
+                    signal.removeEventListener('abort', done);
+                    resolve();
+                }, ms);
+                const done = () => {
+                    clearTimeout(timer);
+                    resolve();
+                };
+                signal.addEventListener('abort', done, { once: true });
+            });
+        }
+
+        // fetch() bound to the run's abort signal
+        request(url, options = {}) {
+            return this.fetch(url, { ...options, signal: this.abortController.signal });
+        }
+
+        runPhase(phase) {
+            switch (phase) {
+                case 'ping': return this.runPingTest();
+                case 'packetLoss': return this.runPacketLossTest();
+                case 'download': return this.runDownloadTest();
+                case 'upload': return this.runUploadTest();
+                case 'verify': return this.fetchServerObserved();
+            }
+        }
+
+        serverUrl(path, params) {
+            return testServerUrl(this.server, path, params, { proxy: this.proxy, apiBase: this.apiBase });
+        }
+
+        elapsed() {
+            return performance.now() - this.startTime;
+        }
+
+        async openSession() {
+            this.sessionId = null;
+            this.sessionOpen = false;
+
+            try {
+                const response = await this.request(`${this.apiBase}/api/sessions`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({ serverId: this.server.id })
+                });
+
+                if (response.ok) {
+                    const data = await response.json();
+                    this.sessionId = data.session.id;
+                    this.sessionOpen = true;
+                    await this.updateSession('start');
+                }
+            } catch (error) {
+                this.warn('Failed to open test session:', error);
+            }
+
+            // Without the API, fall back to a locally generated test ID
+            if (!this.sessionId) {
+                this.sessionId = 'TEST_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+            }
+
+            return this.sessionId;
+        }
+
+        async updateSession(action) {
+            if (!this.sessionOpen) return null;
+
+            // Not bound to the abort signal: an aborted run still has to release its session
+            try {
+                const response = await this.fetch(`${this.apiBase}/api/sessions/${this.sessionId}/${action}`, { method: 'POST' });
+                const data = await response.json();
+                return data.session || null;
+            } catch (error) {
+                this.warn(`Failed to ${action} test session:`, error);
+                return null;
+            }
+        }
+
+        // Ask the test server to drop what it tracked for an aborted session
+        async releaseServerSession() {
+            if (!this.server || !this.sessionId) return;
+
+            try {
+                await this.fetch(this.serverUrl(`/sessions/${this.sessionId}`), { method: 'DELETE' });
+            } catch (error) {
+                this.warn('Failed to release test server session:', error);
+            }
+        }
+
+        // The test server decides stream counts, request sizes, duration and warm-up
+        // from its current load; the local config is only a fallback
+        async fetchTestPlan() {
+            let plan = null;
+
+            try {
+                const response = await this.request(
+                    this.serverUrl('/download-multi', { session: this.sessionId, duration: this.config.testDuration })
+                );
+                if (response.ok) {
+                    const data = await response.json();
+                    plan = data.plan || null;
+                }
+            } catch (error) {
+                this.warn('Failed to fetch test plan, using defaults:', error);
+            }
+
+            this.plan = {
+                download: this.normalizePlan(plan && plan.download, 'download'),
+                upload: this.normalizePlan(plan && plan.upload, 'upload'),
+                source: plan ? 'server' : 'default'
+            };
+            this.results.plan = this.plan;
+
+            return this.plan;
+        }
+
+        // Fill gaps in a server plan from the local config; the user's size settings stay an upper bound
+        normalizePlan(plan, direction) {
+            const maxSize = direction === 'download' ? this.config.downloadSize : this.config.uploadSize;
+            const chunkSize = direction === 'download' ? this.config.downloadChunkSize : this.config.uploadChunkSize;
+            const defaults = {
+                minStreams: this.config.minStreams,
+                maxStreams: this.config.maxStreams,
+                initialChunkSize: chunkSize,
+                maxChunkSize: maxSize,
+                duration: this.config.testDuration,
+                warmup: { policy: 'fixed', duration: this.config.warmupDuration },
+                scaleInterval: this.config.streamScaleInterval
+            };
+            const merged = { ...defaults, ...(plan || {}) };
+
+            if (this.config.streamLimit) {
+                merged.maxStreams = Math.min(merged.maxStreams, this.config.streamLimit);
+            }
+            merged.maxChunkSize = Math.min(merged.maxChunkSize, maxSize);
+            merged.initialChunkSize = Math.min(merged.initialChunkSize, merged.maxChunkSize);
+            merged.minStreams = Math.max(1, Math.min(merged.minStreams, merged.maxStreams));
+
+            return merged;
+        }
+
+        async runPingTest() {
+            const { pingCount, pingInterval } = this.config;
+            const pings = [];
+            let transport = 'websocket';
+
+            // Prefer the persistent WebSocket channel, fall back to HTTP round trips
+            try {
+                const socket = await this.openLatencyChannel();
+
+                // The run may have been aborted while the socket was connecting
+                if (this.aborted) {
+                    socket.close();
+                    throw createAbortError();
+                }
+                this.latencySocket = socket;
+            } catch (error) {
+                this.checkAborted();
+                this.warn('Latency channel unavailable, falling back to HTTP ping:', error);
+                transport = 'http';
+            }
+
+            for (let i = 0; i < pingCount && !this.aborted; i++) {
+                try {
+                    const latency = transport === 'websocket'
+                        ? await this.sendLatencyProbe(this.latencySocket, i)
+                        : await this.measureHttpLatency();
+
+                    pings.push(latency);
+                    this.recordLatencyPoint('ping', latency, { index: i, count: pingCount });
+
+                    // Small delay between pings
+                    await this.wait(pingInterval);
+                } catch (error) {
+                    this.warn(`Ping ${i + 1} failed:`, error);
+                }
+            }
+
+            this.checkAborted();
+            if (pings.length === 0) {
+                throw new Error('Ping test failed');
+            }
+
+            const latency = summarizeLatency(pings);
+            this.results.ping = latency.median;
+            this.results.jitter = latency.jitter;
+            this.results.latency = { ...latency, transport };
+        }
+
+        async openLatencyChannel() {
+            let io = this.io || (typeof window !== 'undefined' ? window.io : undefined);
+
+            // In the browser the socket.io client is served by the test server itself
+            if (!io && typeof document !== 'undefined') {
+                await this.loadScript(this.serverUrl('/socket.io/socket.io.js'));
+                io = window.io;
+            }
+            if (!io) {
+                throw new Error('No socket.io client available');
+            }
+
+            return new Promise((resolve, reject) => {
+                const options = {
+                    transports: ['websocket'],
+                    reconnection: false,
+                    timeout: 5000
+                };
+
+                // Through the proxy the socket.io path moves under /test-server
+                const socket = this.proxy
+                    ? io(this.apiBase || undefined, {
+                        ...options,
+                        path: '/test-server/socket.io',
+                        query: { serverId: this.server.id }
+                    })
+                    : io(`http://${this.server.host}:${this.server.port}`, options);
+
+                socket.once('connect', () => resolve(socket));
+                socket.once('connect_error', (error) => {
+                    socket.close();
+                    reject(error);
+                });
+            });
+        }
+
+        closeLatencyChannel() {
+            if (this.latencySocket) {
+                this.latencySocket.close();
+                this.latencySocket = null;
+            }
+        }
+
+        sendLatencyProbe(socket, seq) {
+            return new Promise((resolve, reject) => {
+                const startTime = performance.now();
+                const signal = this.abortController.signal;
+                const onAbort = () => reject(createAbortError());
+
+                signal.addEventListener('abort', onAbort, { once: true });
+                socket.timeout(5000).emit('latency-probe', { seq, t: Date.now() }, (error) => {
+                    signal.removeEventListener('abort', onAbort);
+                    if (error) {
+                        reject(new Error('Timeout'));
+                        return;
+                    }
+                    resolve(performance.now() - startTime);
+                });
+            });
+        }
+
+        async measureHttpLatency() {
+            const startTime = performance.now();
+            const response = await this.request(this.serverUrl('/ping', { t: Date.now() }));
+            await response.text();
+            return performance.now() - startTime;
+        }
+
+        loadScript(src) {
+            return new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = src;
+                script.onload = () => resolve();
+                script.onerror = () => reject(new Error(`Failed to load ${src}`));
+                document.head.appendChild(script);
+            });
+        }
+
+        async runPacketLossTest() {
+            const socket = this.latencySocket;
+
+            // Loss can only be probed over the WebSocket channel
+            if (!socket) {
+                this.results.packetLoss = null;
+                return;
+            }
+
+            const { lossProbeCount, lossProbeInterval, lossProbeTimeout } = this.config;
+            const run = Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+            const sentAt = new Map();
+            const received = new Set();
+            let duplicates = 0;
+            let reordered = 0;
+            let late = 0;
+            let highestSeq = -1;
+
+            const onEcho = (echo) => {
+                if (!echo || echo.run !== run || !sentAt.has(echo.seq)) return;
+
+                if (received.has(echo.seq)) {
+                    duplicates++;
+                    return;
+                }
+
+                // An echo that misses the deadline is as good as lost for real-time traffic
+                if (performance.now() - sentAt.get(echo.seq) > lossProbeTimeout) {
+                    late++;
+                    return;
+                }
+
+                received.add(echo.seq);
+                if (echo.seq < highestSeq) {
+                    reordered++;
+                } else {
+                    highestSeq = echo.seq;
+                }
+            };
+
+            socket.on('loss-echo', onEcho);
+
+            for (let seq = 0; seq < lossProbeCount && !this.aborted; seq++) {
+                sentAt.set(seq, performance.now());
+                socket.emit('loss-probe', { run, seq });
+                await this.wait(lossProbeInterval);
+            }
+
+            // Give the last probes time to come back
+            await this.wait(lossProbeTimeout);
+            socket.off('loss-echo', onEcho);
+            this.checkAborted();
+
+            let upstream = null;
+            try {
+                upstream = await socket.timeout(2000).emitWithAck('loss-report', { run });
+            } catch (error) {
+                this.warn('Packet loss report unavailable:', error);
+            }
+
+            const lostSequences = [];
+            for (let seq = 0; seq < lossProbeCount; seq++) {
+                if (!received.has(seq)) lostSequences.push(seq);
+            }
+
+            this.results.packetLoss = (lostSequences.length / lossProbeCount) * 100;
+            this.results.packetLossDetail = {
+                sent: lossProbeCount,
+                received: received.size,
+                lost: lostSequences.length,
+                lostSequences: lostSequences,
+                late: late,
+                duplicates: duplicates,
+                reordered: reordered,
+                upstreamLost: upstream ? lossProbeCount - upstream.received : null,
+                upstreamDuplicates: upstream ? upstream.duplicates : null,
+                upstreamReordered: upstream ? upstream.reordered : null
+            };
+        }
+
+        async runDownloadTest() {
+            const plan = this.plan.download;
+
+            const result = await this.runTimedStreams('download', plan, async (stream, onBytes) => {
+                // Each stream keeps requesting data, growing requests that finish quickly
+                let size = plan.initialChunkSize;
+
+                while (stream.running) {
+                    const requestStart = performance.now();
+                    const url = this.serverUrl('/download', { size: size, session: this.sessionId, t: Date.now() });
+                    await this.downloadChunk(url, stream, onBytes);
+
+                    if (performance.now() - requestStart < 1000) {
+                        size = Math.min(size * 2, plan.maxChunkSize);
+                    }
+                }
+            });
+
+            this.results.download = result.speedMbps;
+            this.results.downloadDetail = result.detail;
+            await this.fetchReceipt('download');
+        }
+
+        async runUploadTest() {
+            const plan = this.plan.upload;
+            const payload = this.getUploadPayload(plan.maxChunkSize);
+
+            const result = await this.runTimedStreams('upload', plan, async (stream, onBytes) => {
+                // Each stream keeps posting slices of the shared payload, growing them while they finish quickly
+                let size = Math.min(plan.initialChunkSize, payload.size);
+
+                while (stream.running) {
+                    const requestStart = performance.now();
+                    const url = this.serverUrl('/upload', { session: this.sessionId, t: Date.now() });
+                    await this.uploadChunk(url, payload.slice(0, size), stream, onBytes);
+
+                    if (performance.now() - requestStart < 1000) {
+                        size = Math.min(size * 2, payload.size);
+                    }
+                }
+            });
+
+            this.results.upload = result.speedMbps;
+            this.results.uploadDetail = result.detail;
+            await this.fetchReceipt('upload');
+        }
+
+        // Run parallel transfer streams for the planned duration. Streams are added
+        // while throughput keeps climbing, and the warm-up window is excluded from the
+        // final speed so TCP slow start does not drag the result down. Every stream
+        // keeps its own byte counter, sampled together on a fixed tick.
+        async runTimedStreams(direction, plan, runStream) {
+            const { duration, minStreams, maxStreams, scaleInterval } = plan;
+            const warmupDuration = plan.warmup.policy === 'none' ? 0 : plan.warmup.duration;
+            const startTime = performance.now();
+            const streams = [];
+            const streamPromises = [];
+            const samples = [];
+            const latencyMonitor = this.startLatencyMonitor(direction);
+            let warmup = null;
+            let failure = null;
+
+            const totalBytes = () => streams.reduce((sum, stream) => sum + stream.bytes, 0);
+
+            // Snapshot cumulative bytes for the whole test and for each stream
+            const snapshot = () => ({
+                time: performance.now(),
+                bytes: totalBytes(),
+                streamBytes: streams.map(stream => stream.bytes)
+            });
+
+            const addStream = () => {
+                const stream = {
+                    id: streams.length,
+                    running: true,
+                    requests: new Set(),
+                    startedAt: performance.now() - startTime,
+                    bytes: 0
+                };
+                streams.push(stream);
+                streamPromises.push(
+                    runStream(stream, (bytes) => { stream.bytes += bytes; }).catch((error) => {
+                        stream.running = false;
+                        failure = failure || error;
+                    })
+                );
+            };
+
+            for (let i = 0; i < minStreams; i++) {
+                addStream();
+            }
+
+            // Every tick records [elapsed ms, total bytes, bytes of stream 0, stream 1, ...],
+            // all cumulative, and reports progress from the totals
+            const sampler = setInterval(() => {
+                const elapsed = performance.now() - startTime;
+                const bytes = totalBytes();
+
+                samples.push([Math.round(elapsed), bytes, ...streams.map(stream => stream.bytes)]);
+
+                if (elapsed > 0) {
+                    this.recordThroughputPoint(direction, bytes, {
+                        speedMbps: (bytes * 8) / (elapsed * 1000),
+                        elapsed: elapsed,
+                        progress: Math.min(elapsed / duration, 1)
+                    });
+                }
+            }, this.config.sampleInterval);
+
+            // Add a stream whenever the last interval was noticeably faster than the one before
+            let lastBytes = 0;
+            let lastThroughput = 0;
+            const scaler = setInterval(() => {
+                const bytes = totalBytes();
+                const throughput = bytes - lastBytes;
+                lastBytes = bytes;
+
+                if (throughput > lastThroughput * 1.1 && streams.length < maxStreams) {
+                    addStream();
+                }
+                lastThroughput = throughput;
+            }, scaleInterval);
+
+            const warmupTimer = warmupDuration > 0 ? setTimeout(() => {
+                warmup = snapshot();
+            }, Math.min(warmupDuration, duration / 2)) : null;
+
+            await this.wait(duration);
+
+            clearInterval(sampler);
+            clearInterval(scaler);
+            clearTimeout(warmupTimer);
+            const end = snapshot();
+
+            // Stop every stream and tear down requests still in flight
+            streams.forEach((stream) => {
+                stream.running = false;
+                stream.requests.forEach(request => request.abort());
+            });
+            await Promise.all(streamPromises);
+            this.recordLoadedLatency(direction, latencyMonitor.stop());
+
+            this.checkAborted();
+            if (end.bytes === 0 && failure) {
+                throw failure;
+            }
+
+            const measureStart = warmup || { time: startTime, bytes: 0, streamBytes: [] };
+            const measuredBytes = end.bytes - measureStart.bytes;
+            const measuredDuration = end.time - measureStart.time;
+            const toMbps = (bytes, ms) => ms > 0 ? (bytes * 8) / (ms * 1000) : 0;
+
+            return {
+                speedMbps: toMbps(measuredBytes, measuredDuration),
+                detail: {
+                    streams: streams.length,
+                    totalBytes: end.bytes,
+                    measuredBytes: measuredBytes,
+                    measuredDuration: measuredDuration,
+                    warmupDuration: warmup ? warmup.time - startTime : 0,
+                    sampleInterval: this.config.sampleInterval,
+                    samples: samples,
+                    perStream: streams.map((stream, index) => {
+                        // Streams added after warm-up are measured from when they started
+                        const streamStart = Math.max(measureStart.time, startTime + stream.startedAt);
+                        const streamBytes = end.streamBytes[index] - (measureStart.streamBytes[index] || 0);
+
+                        return {
+                            id: stream.id,
+                            startedAt: Math.round(stream.startedAt),
+                            bytes: end.streamBytes[index],
+                            measuredBytes: streamBytes,
+                            speedMbps: toMbps(streamBytes, end.time - streamStart)
+                        };
+                    })
+                }
+            };
+        }
+
+        downloadChunk(url, stream, onBytes) {
+            if (typeof XMLHttpRequest === 'undefined') {
+                return this.fetchChunk(url, { method: 'GET' }, stream, onBytes);
+            }
+
+            return new Promise((resolve, reject) => {
+                const xhr = new XMLHttpRequest();
+                let loaded = 0;
+
+                xhr.open('GET', url, true);
+                xhr.responseType = 'blob';
+
+                // Count each request's own progress so parallel streams never mix their totals
+                xhr.onprogress = (event) => {
+                    onBytes(event.loaded - loaded);
+                    loaded = event.loaded;
+                };
+
+                xhr.onload = () => {
+                    stream.requests.delete(xhr);
+                    resolve();
+                };
+                xhr.onabort = () => {
+                    stream.requests.delete(xhr);
+                    resolve();
+                };
+                xhr.onerror = () => {
+                    stream.requests.delete(xhr);
+                    reject(new Error('Download failed'));
+                };
+
+                stream.requests.add(xhr);
+                xhr.send();
+            });
+        }
+
+        uploadChunk(url, blob, stream, onBytes) {
+            if (typeof XMLHttpRequest === 'undefined') {
+                return this.fetchChunk(url, { method: 'POST', body: blob }, stream, onBytes);
+            }
+
+            return new Promise((resolve, reject) => {
+                const xhr = new XMLHttpRequest();
+                let loaded = 0;
+
+                xhr.open('POST', url, true);
+
+                xhr.upload.onprogress = (event) => {
+                    onBytes(event.loaded - loaded);
+                    loaded = event.loaded;
+                };
+
+                xhr.onload = () => {
+                    stream.requests.delete(xhr);
+                    resolve();
+                };
+                xhr.onabort = () => {
+                    stream.requests.delete(xhr);
+                    resolve();
+                };
+                xhr.onerror = () => {
+                    stream.requests.delete(xhr);
+                    reject(new Error('Upload test failed'));
+                };
+
+                stream.requests.add(xhr);
+                xhr.send(blob);
+            });
+        }
+
+        // Transfer over fetch where XMLHttpRequest does not exist (Node). Downloads
+        // are counted as the body streams in. fetch reports no upload progress, so
+        // uploads stream their body and count each piece as fetch takes it; a chunk
+        // cut off at the end of the test still counts what was sent.
+        async fetchChunk(url, init, stream, onBytes) {
+            const controller = new AbortController();
+            const upload = init.method === 'POST';
+            const streamed = upload && typeof ReadableStream !== 'undefined';
+            stream.requests.add(controller);
+
+            try {
+                const request = streamed
+                    ? { ...init, body: this.countingBody(init.body, onBytes), duplex: 'half' }
+                    : init;
+                const response = await this.fetch(url, { ...request, signal: controller.signal });
+
+                if (upload) {
+                    await response.text();
+                    if (!streamed) onBytes(init.body.size);
+                } else if (response.body && response.body.getReader) {
+                    const reader = response.body.getReader();
+                    for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+                        onBytes(chunk.value.length);
+                    }
+                } else if (response.body) {
+                    for await (const chunk of response.body) {
+                        onBytes(chunk.length);
+                    }
+                }
+            } catch (error) {
+                if (error.name !== 'AbortError') {
+                    throw new Error(upload ? 'Upload test failed' : 'Download failed');
+                }
+            } finally {
+                stream.requests.delete(controller);
+            }
+        }
+
+        // Request body reading the blob in 64KB pieces, only as fast as fetch sends them
+        countingBody(blob, onBytes) {
+            let offset = 0;
+
+            return new ReadableStream({
+                async pull(controller) {
+                    if (offset >= blob.size) {
+                        controller.close();
+                        return;
+                    }
+
+                    const piece = new Uint8Array(await blob.slice(offset, offset + 65536).arrayBuffer());
+                    offset += piece.length;
+                    controller.enqueue(piece);
+                    onBytes(piece.length);
+                }
+            }, { highWaterMark: 0 });
+        }
+
+        // Random, incompressible upload data generated once and reused across runs
+        getUploadPayload(size) {
+            if (!this.uploadPayload || this.uploadPayload.size !== size) {
+                const data = new Uint8Array(size);
+
+                // getRandomValues fills at most 64KB per call
+                for (let offset = 0; offset < size; offset += 65536) {
+                    crypto.getRandomValues(data.subarray(offset, Math.min(offset + 65536, size)));
+                }
+
+                this.uploadPayload = new Blob([data]);
+            }
+
+            return this.uploadPayload;
+        }
+
+        startLatencyMonitor(direction) {
+            const samples = [];
+            let running = true;
+
+            // Probe continuously while the throughput phase saturates the link
+            const probe = async () => {
+                let seq = 0;
+                while (running && !this.aborted) {
+                    try {
+                        const latency = this.latencySocket
+                            ? await this.sendLatencyProbe(this.latencySocket, seq++)
+                            : await this.measureHttpLatency();
+                        if (running) {
+                            samples.push(latency);
+                            this.recordLatencyPoint(direction, latency);
+                        }
+                    } catch (error) {
+                        if (!this.aborted) {
+                            this.warn('Loaded latency probe failed:', error);
+                        }
+                    }
+                    await this.wait(this.config.loadedProbeInterval);
+                }
+            };
+            probe();
+
+            return {
+                stop: () => {
+                    running = false;
+                    return samples;
+                }
+            };
+        }
+
+        recordLoadedLatency(direction, samples) {
+            if (samples.length === 0) return;
+
+            const idle = this.results.latency ? this.results.latency.median : this.results.ping;
+            const loaded = summarizeLatency(samples);
+            const increase = Math.max(0, loaded.median - idle);
+
+            this.results.loadedLatency = this.results.loadedLatency || { idle };
+            this.results.loadedLatency[direction] = {
+                median: loaded.median,
+                max: loaded.max,
+                jitter: loaded.jitter,
+                increase: increase,
+                samples: loaded.samples
+            };
+
+            const { download, upload } = this.results.loadedLatency;
+            const worstIncrease = Math.max(download ? download.increase : 0, upload ? upload.increase : 0);
+            this.results.loadedLatency.grade = gradeBufferbloat(worstIncrease);
+        }
+
+        // Record instantaneous throughput over the last series window, in ms since
+        // the test started, and report it together with the running average
+        recordThroughputPoint(direction, totalBytes, progress) {
+            const now = performance.now();
+            const recent = this.throughputWindow;
+
+            // A new phase starts with a fresh window
+            if (recent.length > 0 && recent[0].direction !== direction) {
+                recent.length = 0;
+            }
+            recent.push({ direction, time: now, bytes: totalBytes });
+            while (recent.length > 2 && now - recent[1].time >= this.config.chartWindow) {
+                recent.shift();
+            }
+
+            const oldest = recent[0];
+            let instantMbps = null;
+            if (now - oldest.time > 0) {
+                instantMbps = ((totalBytes - oldest.bytes) * 8) / ((now - oldest.time) * 1000);
+                this.results.series[direction].push([Math.round(now - this.startTime), +instantMbps.toFixed(2)]);
+            }
+
+            this.emit('sample', {
+                phase: direction,
+                type: 'throughput',
+                time: this.elapsed(),
+                bytes: totalBytes,
+                instantMbps: instantMbps,
+                ...progress
+            });
+        }
+
+        recordLatencyPoint(phase, latency, extra = {}) {
+            this.results.series.latency.push([Math.round(this.elapsed()), +latency.toFixed(1)]);
+            this.emit('sample', { phase, type: 'latency', time: this.elapsed(), latency, ...extra });
+        }
+
+        // Signed byte count from the test server, used by the API to verify the result
+        async fetchReceipt(direction) {
+            try {
+                const response = await this.request(
+                    this.serverUrl('/receipt', { session: this.sessionId, direction: direction })
+                );
+                if (response.ok) {
+                    const data = await response.json();
+                    this.receipts[direction] = data.receipt;
+                }
+            } catch (error) {
+                this.warn(`Failed to fetch ${direction} receipt:`, error);
+            }
+        }
+
+        // Throughput as observed by the test server, to catch browser-side throttling
+        async fetchServerObserved() {
+            try {
+                const response = await this.request(this.serverUrl(`/sessions/${this.sessionId}`));
+                if (!response.ok) return;
+
+                const data = await response.json();
+                this.results.serverObserved = {};
+
+                for (const direction of ['download', 'upload']) {
+                    const observed = data.session[direction];
+                    if (!observed) continue;
+
+                    const clientMbps = this.results[direction];
+                    const discrepancy = observed.speedMbps > 0
+                        ? (clientMbps - observed.speedMbps) / observed.speedMbps
+                        : null;
+
+                    this.results.serverObserved[direction] = {
+                        speedMbps: observed.speedMbps,
+                        bytes: observed.bytes,
+                        duration: observed.duration,
+                        totalBytes: observed.totalBytes,
+                        connections: observed.connectionCount,
+                        discrepancy: discrepancy,
+                        flagged: discrepancy === null || Math.abs(discrepancy) > this.config.discrepancyTolerance
+                    };
+                }
+            } catch (error) {
+                this.warn('Failed to fetch server-observed throughput:', error);
+            }
+        }
+    }
+
+    SpeedTestEngine.DEFAULT_CONFIG = DEFAULT_CONFIG;
+    SpeedTestEngine.PHASES = PHASES;
+    SpeedTestEngine.summarizeLatency = summarizeLatency;
+    SpeedTestEngine.gradeBufferbloat = gradeBufferbloat;
+    SpeedTestEngine.probeServerLatency = probeServerLatency;
+
+    return SpeedTestEngine;
+});
@@ -0,0 +1,22 @@
+const MemoryStore = require('./memory-store');
+const RedisStore = require('./redis-store');
+
+// Create the result store selected by configuration
+function createStore(options = {}) {
+    const type = (options.type || 'memory').toLowerCase();
+    
+    switch (type) {
+        case 'memory':
+            return new MemoryStore(options);
+        case 'redis':
+            return new RedisStore(options);
+        default:
+            throw new Error(`Unknown store type: ${options.type}`);
+    }
+}
+
+module.exports = {
+    createStore,
+    MemoryStore,
+    RedisStore
+};
@@ -0,0 +1,199 @@
+// In-memory result store - data is lost on restart, suitable for development
+class MemoryStore {
+    constructor(options = {}) {
+        this.resultTtl = options.resultTtl || 0;
+        this.maxResults = options.maxResults || 0;
+        this.sessionTtl = options.sessionTtl || 0;
+        this.results = new Map();
+        this.serverSamples = new Map();
+        this.sessions = new Map();
+        this.alerts = new Map();
+        this.receiptClaims = new Map();
+        this.pruneTimer = null;
+    }
+
+    async connect() {
+        // Periodically drop expired entries so memory does not grow unbounded
+        this.pruneTimer = setInterval(() => this.prune(), 60 * 1000);
+        this.pruneTimer.unref();
+    }
+
+    async close() {
+        if (this.pruneTimer) {
+            clearInterval(this.pruneTimer);
+            this.pruneTimer = null;
+        }
+    }
+
+    prune() {
+        const now = Date.now();
+        for (const [signature, expiresAt] of this.receiptClaims) {
+            if (expiresAt <= now) this.receiptClaims.delete(signature);
+        }
+        for (const entries of [this.results, this.sessions, this.alerts]) {
+            for (const [id, entry] of entries) {
+                if (entry.expiresAt && entry.expiresAt <= now) {
+                    entries.delete(id);
+                }
+            }
+        }
+        
+        if (this.resultTtl <= 0) return;
+        
+        const cutoff = now - this.resultTtl * 1000;
+        for (const [serverId, samples] of this.serverSamples) {
+            const firstKept = samples.findIndex(sample => sample.t > cutoff);
+            if (firstKept === -1) {
+                this.serverSamples.delete(serverId);
+            } else if (firstKept > 0) {
+                samples.splice(0, firstKept);
+            }
+        }
+    }
+
+    async saveResult(result) {
+        this.results.set(result.id, {
+            value: result,
+            expiresAt: this.resultTtl > 0 ? Date.now() + this.resultTtl * 1000 : null
+        });
+        
+        // Evict the oldest entries once the retention cap is reached
+        if (this.maxResults > 0) {
+            while (this.results.size > this.maxResults) {
+                this.results.delete(this.results.keys().next().value);
+            }
+        }
+    }
+
+    async getResult(id) {
+        const entry = this.results.get(id);
+        if (!entry) return null;
+        
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this.results.delete(id);
+            return null;
+        }
+        
+        return entry.value;
+    }
+
+    // Results within an optional timestamp range, newest first
+    async listResults(range = {}) {
+        const now = Date.now();
+        const results = [];
+        
+        for (const entry of this.results.values()) {
+            if (entry.expiresAt && entry.expiresAt <= now) continue;
+            
+            const time = Date.parse(entry.value.timestamp);
+            if (range.from && time < range.from) continue;
+            if (range.to && time > range.to) continue;
+            
+            results.push(entry.value);
+        }
+        
+        return results.reverse();
+    }
+
+    // One page of results in timestamp order; returns { results, total }
+    async listResultsPage(range = {}) {
+        const direction = range.order === 'asc' ? 1 : -1;
+        const results = (await this.listResults(range))
+            .sort((a, b) => (Date.parse(a.timestamp) - Date.parse(b.timestamp)) * direction);
+        const offset = range.offset || 0;
+        
+        return {
+            results: results.slice(offset, offset + range.limit),
+            total: results.length
+        };
+    }
+
+    async saveSession(session) {
+        this.sessions.set(session.id, {
+            value: session,
+            expiresAt: this.sessionTtl > 0 ? Date.now() + this.sessionTtl * 1000 : null
+        });
+    }
+
+    async getSession(id) {
+        const entry = this.sessions.get(id);
+        if (!entry) return null;
+        
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this.sessions.delete(id);
+            return null;
+        }
+        
+        return entry.value;
+    }
+
+    // Record a receipt signature as used; resolves false if it was already claimed
+    async claimReceipt(signature, ttl) {
+        const expiresAt = this.receiptClaims.get(signature);
+        if (expiresAt && expiresAt > Date.now()) return false;
+        
+        this.receiptClaims.set(signature, Date.now() + ttl * 1000);
+        return true;
+    }
+
+    // Alerts are kept as long as results; saving an existing alert updates it in place
+    async saveAlert(alert) {
+        this.alerts.set(alert.id, {
+            value: alert,
+            expiresAt: this.resultTtl > 0 ? Date.now() + this.resultTtl * 1000 : null
+        });
+        
+        if (this.maxResults > 0) {
+            while (this.alerts.size > this.maxResults) {
+                this.alerts.delete(this.alerts.keys().next().value);
+            }
+        }
+    }
+
+    // Alerts within an optional timestamp range, newest first
+    async listAlerts(range = {}) {
+        const now = Date.now();
+        const alerts = [];
+        
+        for (const entry of this.alerts.values()) {
+            if (entry.expiresAt && entry.expiresAt <= now) continue;
+            
+            const time = Date.parse(entry.value.timestamp);
+            if (range.from && time < range.from) continue;
+            if (range.to && time > range.to) continue;
+            
+            alerts.push(entry.value);
+        }
+        
+        return alerts.reverse();
+    }
+
+    // Per-server measurement samples ({ t, ping, download, upload, region }) kept in time order
+    async addServerSample(serverId, sample) {
+        const key = String(serverId);
+        const samples = this.serverSamples.get(key) || [];
+        
+        let index = samples.length;
+        while (index > 0 && samples[index - 1].t > sample.t) index--;
+        samples.splice(index, 0, sample);
+        
+        if (this.maxResults > 0 && samples.length > this.maxResults) {
+            samples.splice(0, samples.length - this.maxResults);
+        }
+        
+        this.serverSamples.set(key, samples);
+    }
+
+    async listServerSamples(serverId, range = {}) {
+        const samples = this.serverSamples.get(String(serverId)) || [];
+        const cutoff = this.resultTtl > 0 ? Date.now() - this.resultTtl * 1000 : -Infinity;
+        
+        return samples.filter(sample =>
+            sample.t > cutoff &&
+            (!range.from || sample.t >= range.from) &&
+            (!range.to || sample.t <= range.to)
+        );
+    }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,207 @@
+const { createClient } = require('redis');
+
+// Redis-backed result store - survives restarts and can be shared by several API instances
+class RedisStore {
+    constructor(options = {}) {
+        this.resultTtl = options.resultTtl || 0;
+        this.maxResults = options.maxResults || 0;
+        this.sessionTtl = options.sessionTtl || 0;
+        this.keyPrefix = options.keyPrefix || 'speedtest:';
+        this.logger = options.logger;
+        this.client = options.client || createClient({ url: options.url });
+        
+        this.client.on('error', (err) => {
+            if (this.logger) {
+                this.logger.error(`Redis error: ${err.message}`);
+            }
+        });
+    }
+
+    key(...parts) {
+        return this.keyPrefix + parts.join(':');
+    }
+
+    async connect() {
+        if (!this.client.isOpen) {
+            await this.client.connect();
+        }
+    }
+
+    async close() {
+        if (this.client.isOpen) {
+            await this.client.quit();
+        }
+    }
+
+    async saveResult(result) {
+        const options = this.resultTtl > 0 ? { EX: this.resultTtl } : undefined;
+        await this.client.set(this.key('result', result.id), JSON.stringify(result), options);
+        
+        // Sorted set of result ids scored by timestamp, used for listing
+        await this.client.zAdd(this.key('results'), {
+            score: Date.parse(result.timestamp),
+            value: result.id
+        });
+        
+        if (this.resultTtl > 0) {
+            await this.client.zRemRangeByScore(this.key('results'), '-inf', Date.now() - this.resultTtl * 1000);
+        }
+        
+        await this.trimIndex('results', 'result');
+    }
+
+    // Evict the oldest entries of an index once the retention cap is reached,
+    // together with the documents they point to
+    async trimIndex(index, type) {
+        if (this.maxResults <= 0) return;
+        
+        const excess = await this.client.zCard(this.key(index)) - this.maxResults;
+        if (excess <= 0) return;
+        
+        const ids = await this.client.zRange(this.key(index), 0, excess - 1);
+        if (ids.length > 0) {
+            await this.client.del(ids.map(id => this.key(type, id)));
+        }
+        await this.client.zRemRangeByRank(this.key(index), 0, excess - 1);
+    }
+
+    async getResult(id) {
+        const data = await this.client.get(this.key('result', id));
+        return data ? JSON.parse(data) : null;
+    }
+
+    // Results within an optional timestamp range, newest first
+    async listResults(range = {}) {
+        const ids = await this.client.zRange(
+            this.key('results'),
+            range.to || '+inf',
+            range.from || '-inf',
+            { BY: 'SCORE', REV: true }
+        );
+        
+        return this.readResults(ids);
+    }
+
+    // One page of results in timestamp order, read straight from the index so only
+    // the page itself is fetched. Returns { results, total }.
+    async listResultsPage(range = {}) {
+        const index = this.key('results');
+        const min = range.from || '-inf';
+        const max = range.to || '+inf';
+        const limit = { offset: range.offset || 0, count: range.limit };
+        
+        if (this.resultTtl > 0) {
+            await this.client.zRemRangeByScore(index, '-inf', Date.now() - this.resultTtl * 1000);
+        }
+        
+        const total = await this.client.zCount(index, min, max);
+        const ids = range.order === 'asc'
+            ? await this.client.zRange(index, min, max, { BY: 'SCORE', LIMIT: limit })
+            : await this.client.zRange(index, max, min, { BY: 'SCORE', REV: true, LIMIT: limit });
+        
+        const results = await this.readResults(ids);
+        return { results, total: total - (ids.length - results.length) };
+    }
+
+    async readResults(ids) {
+        if (ids.length === 0) return [];
+        
+        const data = await this.client.mGet(ids.map(id => this.key('result', id)));
+        const results = [];
+        const expired = [];
+        
+        data.forEach((item, index) => {
+            if (item) {
+                results.push(JSON.parse(item));
+            } else {
+                expired.push(ids[index]);
+            }
+        });
+        
+        // Drop index entries whose result has already expired
+        if (expired.length > 0) {
+            await this.client.zRem(this.key('results'), expired);
+        }
+        
+        return results;
+    }
+
+    async saveSession(session) {
+        const options = this.sessionTtl > 0 ? { EX: this.sessionTtl } : undefined;
+        await this.client.set(this.key('session', session.id), JSON.stringify(session), options);
+    }
+
+    async getSession(id) {
+        const data = await this.client.get(this.key('session', id));
+        return data ? JSON.parse(data) : null;
+    }
+
+    // Record a receipt signature as used; resolves false if it was already claimed
+    async claimReceipt(signature, ttl) {
+        const reply = await this.client.set(this.key('receipt', signature), '1', { NX: true, EX: ttl });
+        return reply === 'OK';
+    }
+
+    // Alerts are kept as long as results; saving an existing alert updates it in place
+    async saveAlert(alert) {
+        const options = this.resultTtl > 0 ? { EX: this.resultTtl } : undefined;
+        await this.client.set(this.key('alert', alert.id), JSON.stringify(alert), options);
+        
+        await this.client.zAdd(this.key('alerts'), {
+            score: Date.parse(alert.timestamp),
+            value: alert.id
+        });
+        
+        if (this.resultTtl > 0) {
+            await this.client.zRemRangeByScore(this.key('alerts'), '-inf', Date.now() - this.resultTtl * 1000);
+        }
+        
+        await this.trimIndex('alerts', 'alert');
+    }
+
+    // Alerts within an optional timestamp range, newest first
+    async listAlerts(range = {}) {
+        const ids = await this.client.zRange(
+            this.key('alerts'),
+            range.to || '+inf',
+            range.from || '-inf',
+            { BY: 'SCORE', REV: true }
+        );
+        if (ids.length === 0) return [];
+        
+        const data = await this.client.mGet(ids.map(id => this.key('alert', id)));
+        return data.filter(Boolean).map(item => JSON.parse(item));
+    }
+
+    // Per-server measurement samples ({ id, t, ping, download, upload, region }) in a sorted set by time
+    async addServerSample(serverId, sample) {
+        const key = this.key('server-samples', serverId);
+        
+        await this.client.zAdd(key, {
+            score: sample.t,
+            value: JSON.stringify(sample)
+        });
+        
+        if (this.resultTtl > 0) {
+            await this.client.zRemRangeByScore(key, '-inf', Date.now() - this.resultTtl * 1000);
+        }
+        
+        // Same per-server cap as the memory store
+        if (this.maxResults > 0) {
+            await this.client.zRemRangeByRank(key, 0, -this.maxResults - 1);
+        }
+    }
+
+    async listServerSamples(serverId, range = {}) {
+        const members = await this.client.zRange(
+            this.key('server-samples', serverId),
+            range.from || '-inf',
+            range.to || '+inf',
+            { BY: 'SCORE' }
+        );
+        
+        return members.map(member => JSON.parse(member));
+    }
+}
+
+module.exports = RedisStore;
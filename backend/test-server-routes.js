@@ -0,0 +1,746 @@
+// Measurement endpoints shared by the built-in test server (test-server.js) and the
+// fleet servers (test-servers/server-app.js)
+const express = require('express');
+const { Server } = require('socket.io');
+const { signReceipt } = require('./receipts');
+
+// Test plan tuning - operators adjust these without shipping new frontend code
+const CAPACITY_MBPS = parseInt(process.env.CAPACITY_MBPS) || 1000;
+const MAX_CONNECTIONS = parseInt(process.env.MAX_CONNECTIONS) || 200;
+const PLAN_MIN_DURATION = parseInt(process.env.PLAN_MIN_DURATION) || 5000;
+const PLAN_MAX_DURATION = parseInt(process.env.PLAN_MAX_DURATION) || 30000;
+const PLAN_DEFAULT_DURATION = parseInt(process.env.PLAN_DEFAULT_DURATION) || 10000;
+const PLAN_WARMUP_DURATION = parseInt(process.env.PLAN_WARMUP_DURATION) || 2000;
+const PLAN_MAX_STREAMS = parseInt(process.env.PLAN_MAX_STREAMS) || 8;
+const MAX_DOWNLOAD_SIZE = 100 * 1024 * 1024; // 100MB
+
+// Upper bound on sequence numbers accepted per packet loss run
+const MAX_LOSS_PROBES = 10000;
+
+const SESSION_TTL = 10 * 60 * 1000; // 10 minutes
+const SAMPLE_INTERVAL = 250; // ms between byte count samples per connection
+const MAX_DETAILED_CONNECTIONS = 256; // per session and direction
+const TIMELINE_STEP = 100; // ms of transfer summed into each timeline bucket
+const MAX_TIMELINE_BUCKETS = SESSION_TTL / TIMELINE_STEP;
+
+// Generate random data for download tests
+function generateRandomData(size) {
+    return Buffer.alloc(size, Math.random().toString(36).substr(2));
+}
+
+function getSessionId(req) {
+    const sessionId = req.query.session;
+    return typeof sessionId === 'string' && /^[\w-]{1,100}$/.test(sessionId) ? sessionId : null;
+}
+
+function toMbps(bytes, duration) {
+    return duration > 0 ? (bytes * 8) / (duration * 1000) : 0;
+}
+
+// Per-session transfer totals, used for server-observed throughput and signed
+// measurement receipts. Each direction keeps running byte and time totals covering
+// every connection, plus a timeline of bytes per TIMELINE_STEP so the warm-up the
+// session's test plan told the client to leave out can be left out here too.
+// Per-connection detail is kept for the first connections only.
+class TransferTracker {
+    constructor() {
+        this.sessions = new Map();
+
+        // Forget sessions that have gone quiet
+        this.pruneTimer = setInterval(() => this.prune(), 60 * 1000);
+        this.pruneTimer.unref();
+    }
+
+    session(sessionId) {
+        let session = this.sessions.get(sessionId);
+        if (!session) {
+            session = { directions: {}, warmup: {}, updatedAt: Date.now() };
+            this.sessions.set(sessionId, session);
+        }
+        return session;
+    }
+
+    // Warm-up the session was planned with for one direction
+    setWarmup(sessionId, direction, duration) {
+        if (!sessionId) return;
+
+        const session = this.session(sessionId);
+        session.warmup[direction] = duration;
+        session.updatedAt = Date.now();
+    }
+
+    start(sessionId, direction) {
+        if (!sessionId) return null;
+
+        const session = this.session(sessionId);
+        const now = Date.now();
+        const totals = session.directions[direction] || (session.directions[direction] = {
+            bytes: 0,
+            count: 0,
+            open: 0,
+            startTime: now,
+            endTime: now,
+            timeline: { start: Math.floor(now / TIMELINE_STEP), counts: [] },
+            connections: []
+        });
+
+        const connection = {
+            totals: totals,
+            bytes: 0,
+            startTime: now,
+            endTime: null,
+            lastSampleAt: 0,
+            samples: null
+        };
+
+        totals.count++;
+        totals.open++;
+        if (totals.connections.length < MAX_DETAILED_CONNECTIONS) {
+            connection.samples = [];
+            totals.connections.push(connection);
+        }
+
+        session.updatedAt = now;
+        return connection;
+    }
+
+    track(connection, bytes) {
+        if (!connection) return;
+
+        connection.bytes += bytes;
+        connection.totals.bytes += bytes;
+
+        const now = Date.now();
+        const timeline = connection.totals.timeline;
+        const bucket = Math.min(Math.floor(now / TIMELINE_STEP) - timeline.start, MAX_TIMELINE_BUCKETS - 1);
+        while (timeline.counts.length <= bucket) timeline.counts.push(0);
+        timeline.counts[bucket] += bytes;
+
+        // Cumulative [elapsed ms, bytes] samples on a fixed tick
+        if (connection.samples && now - connection.lastSampleAt >= SAMPLE_INTERVAL) {
+            connection.samples.push([now - connection.startTime, connection.bytes]);
+            connection.lastSampleAt = now;
+        }
+    }
+
+    end(sessionId, connection) {
+        if (!connection || connection.endTime) return;
+
+        connection.endTime = Date.now();
+        connection.totals.open--;
+        connection.totals.endTime = Math.max(connection.totals.endTime, connection.endTime);
+        if (connection.samples) {
+            connection.samples.push([connection.endTime - connection.startTime, connection.bytes]);
+        }
+
+        const session = this.sessions.get(sessionId);
+        if (session) session.updatedAt = Date.now();
+    }
+
+    // Plain-data copy of a session's totals per direction; open transfers count up to now
+    snapshot(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session) return null;
+
+        const now = Date.now();
+        const snapshot = {};
+        for (const [direction, totals] of Object.entries(session.directions)) {
+            snapshot[direction] = {
+                bytes: totals.bytes,
+                count: totals.count,
+                startTime: totals.startTime,
+                endTime: totals.open > 0 ? now : totals.endTime,
+                warmup: session.warmup[direction] || 0,
+                timeline: totals.timeline,
+                connections: totals.connections.map(c => ({
+                    bytes: c.bytes,
+                    startTime: c.startTime,
+                    endTime: c.endTime,
+                    samples: c.samples
+                }))
+            };
+        }
+        return snapshot;
+    }
+
+    release(sessionId) {
+        return this.sessions.delete(sessionId);
+    }
+
+    prune() {
+        const cutoff = Date.now() - SESSION_TTL;
+        for (const [sessionId, session] of this.sessions) {
+            if (session.updatedAt < cutoff) {
+                this.sessions.delete(sessionId);
+            }
+        }
+    }
+}
+
+function mergeTimelines(a, b) {
+    const start = Math.min(a.start, b.start);
+    const counts = [];
+
+    for (const timeline of [a, b]) {
+        timeline.counts.forEach((bytes, index) => {
+            const bucket = timeline.start - start + index;
+            counts[bucket] = (counts[bucket] || 0) + bytes;
+        });
+    }
+
+    return { start, counts: Array.from(counts, bytes => bytes || 0) };
+}
+
+// Bytes a timeline recorded before the given time; the bucket holding it is left in
+function bytesBefore(timeline, time) {
+    const end = Math.floor(time / TIMELINE_STEP) - timeline.start;
+    return timeline.counts.slice(0, Math.max(0, end)).reduce((sum, bytes) => sum + bytes, 0);
+}
+
+// Combine snapshots of one session taken by several processes (cluster workers)
+function mergeSnapshots(snapshots) {
+    const merged = {};
+
+    for (const snapshot of snapshots.filter(Boolean)) {
+        for (const [direction, totals] of Object.entries(snapshot)) {
+            const into = merged[direction];
+            merged[direction] = into ? {
+                bytes: into.bytes + totals.bytes,
+                count: into.count + totals.count,
+                startTime: Math.min(into.startTime, totals.startTime),
+                endTime: Math.max(into.endTime, totals.endTime),
+                warmup: Math.max(into.warmup, totals.warmup),
+                timeline: mergeTimelines(into.timeline, totals.timeline),
+                connections: into.connections.concat(totals.connections)
+            } : totals;
+        }
+    }
+
+    for (const totals of Object.values(merged)) {
+        totals.connections = totals.connections
+            .sort((a, b) => a.startTime - b.startTime)
+            .slice(0, MAX_DETAILED_CONNECTIONS);
+    }
+
+    return Object.keys(merged).length > 0 ? merged : null;
+}
+
+// Aggregate and per-connection throughput observed for one direction of a snapshot.
+// bytes, duration and speedMbps cover the measured window after the planned warm-up,
+// the same window the client reports; totalBytes and totalDuration cover everything.
+function summarizeTransfers(snapshot, direction) {
+    const totals = snapshot && snapshot[direction];
+    if (!totals) return null;
+
+    const now = Date.now();
+    const totalDuration = totals.endTime - totals.startTime;
+
+    // Runs too short to have had a warm-up are measured whole
+    const warmup = totals.warmup < totalDuration ? totals.warmup : 0;
+    const measureStart = totals.startTime + warmup;
+    const bytes = warmup > 0 ? totals.bytes - bytesBefore(totals.timeline, measureStart) : totals.bytes;
+    const duration = totals.endTime - measureStart;
+
+    return {
+        bytes: bytes,
+        duration: duration,
+        speedMbps: toMbps(bytes, duration),
+        totalBytes: totals.bytes,
+        totalDuration: totalDuration,
+        warmup: warmup,
+        connectionCount: totals.count,
+        connections: totals.connections.map((c, id) => ({
+            id: id,
+            bytes: c.bytes,
+            duration: (c.endTime || now) - c.startTime,
+            speedMbps: toMbps(c.bytes, (c.endTime || now) - c.startTime),
+            complete: c.endTime !== null,
+            samples: c.samples
+        }))
+    };
+}
+
+// Router with the measurement endpoints plus the socket.io latency and packet loss
+// channel. Session lookups may be asynchronous, so a clustered server can answer
+// them from every worker's totals.
+//
+// options.serverId         - id receipts are issued under; must match the registry id
+// options.tracker          - TransferTracker recording this process's transfers
+// options.snapshotSession  - (sessionId) => snapshot, defaults to the tracker's
+// options.releaseSession   - (sessionId) => released, defaults to the tracker's
+// options.describe         - () => extra fields for /stats and /health
+function createTestServerRoutes(options = {}) {
+    const serverId = options.serverId || '1';
+    const tracker = options.tracker || new TransferTracker();
+    const snapshotSession = options.snapshotSession || (sessionId => tracker.snapshot(sessionId));
+    const releaseSession = options.releaseSession || (sessionId => tracker.release(sessionId));
+    const describe = options.describe || (() => ({}));
+
+    const router = express.Router();
+
+    // Store active connections
+    const activeConnections = new Set();
+    const counters = { totalTests: 0, totalBytesServed: 0 };
+
+    async function issueReceipt(sessionId, direction, snapshot) {
+        const summary = summarizeTransfers(snapshot || await snapshotSession(sessionId), direction);
+        if (!summary) return null;
+
+        return signReceipt({
+            sessionId: sessionId,
+            direction: direction,
+            bytes: summary.bytes,
+            duration: summary.duration,
+            connections: summary.connectionCount,
+            server: serverId
+        });
+    }
+
+    // Disable caching for test endpoints
+    router.use((req, res, next) => {
+        if (req.path.includes('/download') || req.path.includes('/upload') || req.path.includes('/ping')) {
+            res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+            res.setHeader('Pragma', 'no-cache');
+            res.setHeader('Expires', '0');
+        }
+        next();
+    });
+
+    // Ping endpoint - for latency testing
+    router.get('/ping', (req, res) => {
+        const start = Date.now();
+
+        // Add connection
+        const connectionId = Math.random().toString(36).substr(2, 9);
+        activeConnections.add(connectionId);
+
+        req.on('close', () => {
+            activeConnections.delete(connectionId);
+        });
+
+        // Minimal response
+        res.setHeader('Content-Type', 'text/plain');
+        res.setHeader('Content-Length', '4');
+        res.send('pong');
+
+        // Log latency
+        const latency = Date.now() - start;
+        console.log(`Ping request: ${latency}ms latency`);
+    });
+
+    // Download endpoint - for download speed testing
+    router.get('/download', (req, res) => {
+        const startTime = Date.now();
+        const connectionId = Math.random().toString(36).substr(2, 9);
+        const sessionId = getSessionId(req);
+        const transfer = tracker.start(sessionId, 'download');
+        counters.totalTests++;
+
+        // Get requested size (default 10MB)
+        let size = parseInt(req.query.size) || 10 * 1024 * 1024;
+
+        // Limit size for safety
+        if (size > MAX_DOWNLOAD_SIZE) {
+            size = MAX_DOWNLOAD_SIZE;
+        }
+
+        // Set appropriate headers
+        res.setHeader('Content-Type', 'application/octet-stream');
+        res.setHeader('Content-Length', size);
+        res.setHeader('Content-Disposition', 'attachment; filename="speedtest.dat"');
+
+        // Generate and stream data
+        const chunkSize = 64 * 1024; // 64KB chunks
+        let bytesSent = 0;
+
+        activeConnections.add(connectionId);
+
+        function sendChunk() {
+            if (bytesSent >= size || !activeConnections.has(connectionId)) {
+                activeConnections.delete(connectionId);
+                res.end();
+
+                const duration = Date.now() - startTime;
+                const speed = (size * 8) / (duration / 1000) / 1000000; // Mbps
+                console.log(`Download complete: ${(size / (1024*1024)).toFixed(1)}MB in ${duration}ms (${speed.toFixed(1)} Mbps)`);
+                return;
+            }
+
+            const remaining = size - bytesSent;
+            const currentChunkSize = Math.min(chunkSize, remaining);
+
+            // Generate random data for this chunk
+            const chunk = generateRandomData(currentChunkSize);
+
+            const flushed = res.write(chunk);
+            bytesSent += currentChunkSize;
+            counters.totalBytesServed += currentChunkSize;
+            tracker.track(transfer, currentChunkSize);
+
+            if (flushed) {
+                // Continue sending
+                if (bytesSent < size) {
+                    setImmediate(sendChunk);
+                } else {
+                    sendChunk(); // Final call
+                }
+            } else {
+                // Wait for drain event
+                res.once('drain', sendChunk);
+            }
+        }
+
+        // Handle client disconnect
+        req.on('close', () => {
+            activeConnections.delete(connectionId);
+        });
+
+        // Count whatever was sent, whether the transfer completed or the client aborted
+        res.on('close', () => {
+            tracker.end(sessionId, transfer);
+        });
+
+        // Start sending data
+        sendChunk();
+    });
+
+    // Upload endpoint - for upload speed testing
+    router.post('/upload', (req, res) => {
+        const startTime = Date.now();
+        const connectionId = Math.random().toString(36).substr(2, 9);
+        const sessionId = getSessionId(req);
+        const transfer = tracker.start(sessionId, 'upload');
+        counters.totalTests++;
+
+        let bytesReceived = 0;
+
+        activeConnections.add(connectionId);
+
+        // Track progress
+        req.on('data', (chunk) => {
+            bytesReceived += chunk.length;
+            tracker.track(transfer, chunk.length);
+        });
+
+        req.on('end', async () => {
+            activeConnections.delete(connectionId);
+
+            const duration = Date.now() - startTime;
+            const speed = (bytesReceived * 8) / (duration / 1000) / 1000000; // Mbps
+
+            console.log(`Upload complete: ${(bytesReceived / (1024*1024)).toFixed(1)}MB in ${duration}ms (${speed.toFixed(1)} Mbps)`);
+
+            tracker.end(sessionId, transfer);
+
+            try {
+                // Send response with stats
+                res.json({
+                    success: true,
+                    bytesReceived: bytesReceived,
+                    duration: duration,
+                    speedMbps: speed,
+                    receipt: sessionId ? await issueReceipt(sessionId, 'upload') : null,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                console.error('Upload receipt error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to issue receipt'
+                });
+            }
+        });
+
+        req.on('close', () => {
+            activeConnections.delete(connectionId);
+
+            // Aborted uploads still count towards the session
+            tracker.end(sessionId, transfer);
+        });
+
+        // Handle errors
+        req.on('error', (err) => {
+            console.error('Upload error:', err);
+            activeConnections.delete(connectionId);
+
+            if (!res.headersSent) {
+                res.status(500).json({
+                    success: false,
+                    error: 'Upload failed'
+                });
+            }
+        });
+    });
+
+    // Build the plan clients execute for one direction, scaled to current load and capacity
+    function buildTestPlan(direction, requestedDuration) {
+        const load = activeConnections.size / MAX_CONNECTIONS;
+
+        // Busy servers hand out fewer streams and shorter tests
+        let maxStreams = PLAN_MAX_STREAMS;
+        if (load > 0.8) {
+            maxStreams = Math.min(2, PLAN_MAX_STREAMS);
+        } else if (load > 0.5) {
+            maxStreams = Math.max(1, Math.floor(PLAN_MAX_STREAMS / 2));
+        }
+
+        let duration = requestedDuration || PLAN_DEFAULT_DURATION;
+        duration = Math.max(PLAN_MIN_DURATION, Math.min(duration, PLAN_MAX_DURATION));
+        if (load > 0.8) {
+            duration = PLAN_MIN_DURATION;
+        }
+
+        // Size requests so each stream's request lasts about two seconds at full capacity
+        const bytesPerStream = (CAPACITY_MBPS * 1000000 / 8) / maxStreams * 2;
+        const maxChunkSize = Math.round(Math.max(1024 * 1024, Math.min(bytesPerStream, MAX_DOWNLOAD_SIZE)));
+
+        return {
+            direction: direction,
+            minStreams: Math.min(2, maxStreams),
+            maxStreams: maxStreams,
+            initialChunkSize: Math.min(direction === 'download' ? 1024 * 1024 : 512 * 1024, maxChunkSize),
+            maxChunkSize: direction === 'download' ? maxChunkSize : Math.min(maxChunkSize, 25 * 1024 * 1024),
+            duration: duration,
+            warmup: {
+                policy: 'fixed',
+                duration: Math.min(PLAN_WARMUP_DURATION, duration / 2)
+            },
+            scaleInterval: 1000
+        };
+    }
+
+    // Multi-threaded download (for more accurate testing). The server is the authority
+    // on the test plan; thread URLs are kept for older clients.
+    router.get('/download-multi', (req, res) => {
+        const requestedDuration = parseInt(req.query.duration) || null;
+        const plan = {
+            download: buildTestPlan('download', requestedDuration),
+            upload: buildTestPlan('upload', requestedDuration)
+        };
+
+        // Receipts for the session leave out the warm-up the client is told to skip
+        const sessionId = getSessionId(req);
+        tracker.setWarmup(sessionId, 'download', plan.download.warmup.duration);
+        tracker.setWarmup(sessionId, 'upload', plan.upload.warmup.duration);
+
+        const threads = Math.min(parseInt(req.query.threads) || 4, plan.download.maxStreams);
+        const sizePerThread = Math.min(parseInt(req.query.size) || 5 * 1024 * 1024, MAX_DOWNLOAD_SIZE); // 5MB per thread
+
+        // Return instructions for parallel download
+        res.json({
+            success: true,
+            threads: threads,
+            sizePerThread: sizePerThread,
+            totalSize: threads * sizePerThread,
+            urls: Array.from({ length: threads }, (_, i) =>
+                `/download?size=${sizePerThread}&thread=${i}&t=${Date.now()}`
+            ),
+            plan: plan,
+            load: {
+                activeConnections: activeConnections.size,
+                maxConnections: MAX_CONNECTIONS,
+                capacityMbps: CAPACITY_MBPS
+            },
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    // Signed measurement receipt for everything a session transferred in one direction
+    router.get('/receipt', async (req, res) => {
+        const sessionId = getSessionId(req);
+        const direction = req.query.direction;
+
+        if (!sessionId || !['download', 'upload'].includes(direction)) {
+            return res.status(400).json({
+                success: false,
+                error: 'A valid session and direction (download|upload) are required'
+            });
+        }
+
+        try {
+            const receipt = await issueReceipt(sessionId, direction);
+            if (!receipt) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'No transfers recorded for this session'
+                });
+            }
+
+            res.json({
+                success: true,
+                receipt: receipt
+            });
+        } catch (error) {
+            console.error('Receipt error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to issue receipt'
+            });
+        }
+    });
+
+    // Server-observed throughput for a session, per direction and per connection
+    router.get('/sessions/:id', async (req, res) => {
+        const sessionId = req.params.id;
+
+        try {
+            const snapshot = await snapshotSession(sessionId);
+            if (!snapshot) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'No transfers recorded for this session'
+                });
+            }
+
+            const session = { sessionId: sessionId };
+            for (const direction of ['download', 'upload']) {
+                const summary = summarizeTransfers(snapshot, direction);
+                session[direction] = summary && {
+                    ...summary,
+                    receipt: await issueReceipt(sessionId, direction, snapshot)
+                };
+            }
+
+            res.json({
+                success: true,
+                session: session
+            });
+        } catch (error) {
+            console.error('Session error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to read session'
+            });
+        }
+    });
+
+    // Release an aborted session; its transfers are no longer tracked or receipted
+    router.delete('/sessions/:id', async (req, res) => {
+        try {
+            const released = await releaseSession(req.params.id);
+
+            res.json({
+                success: true,
+                released: released
+            });
+        } catch (error) {
+            console.error('Session release error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to release session'
+            });
+        }
+    });
+
+    // Server statistics
+    router.get('/stats', (req, res) => {
+        res.json({
+            ...describe(),
+            activeConnections: activeConnections.size,
+            totalTests: counters.totalTests,
+            totalBytesServed: counters.totalBytesServed,
+            uptime: process.uptime(),
+            memory: process.memoryUsage(),
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    // Health check
+    router.get('/health', (req, res) => {
+        res.json({
+            status: 'healthy',
+            ...describe(),
+            timestamp: new Date().toISOString(),
+            activeConnections: activeConnections.size
+        });
+    });
+
+    // WebSocket echo channel - for latency, jitter and packet loss testing
+    function attachLatencyChannel(httpServer) {
+        const io = new Server(httpServer, {
+            cors: { origin: '*' }
+        });
+
+        io.on('connection', (socket) => {
+            activeConnections.add(socket.id);
+
+            // Echo timestamped probes straight back through the acknowledgement
+            socket.on('latency-probe', (probe, ack) => {
+                if (typeof ack !== 'function') return;
+
+                ack({
+                    seq: probe && probe.seq,
+                    clientTime: probe && probe.t,
+                    serverTime: Date.now()
+                });
+            });
+
+            // Sequence-numbered probes for packet loss testing; echoes are volatile
+            // so a congested socket drops them instead of queueing them
+            socket.on('loss-probe', (probe) => {
+                if (!probe || !Number.isInteger(probe.seq) || probe.seq < 0 || probe.seq >= MAX_LOSS_PROBES) return;
+
+                let run = socket.data.lossRun;
+                if (!run || run.id !== probe.run) {
+                    run = socket.data.lossRun = {
+                        id: probe.run,
+                        seen: new Set(),
+                        duplicates: 0,
+                        reordered: 0,
+                        highestSeq: -1
+                    };
+                }
+
+                if (run.seen.has(probe.seq)) {
+                    run.duplicates++;
+                } else {
+                    if (probe.seq < run.highestSeq) {
+                        run.reordered++;
+                    } else {
+                        run.highestSeq = probe.seq;
+                    }
+                    run.seen.add(probe.seq);
+                }
+
+                socket.volatile.emit('loss-echo', { run: probe.run, seq: probe.seq });
+            });
+
+            // Report what arrived upstream so the client can tell which direction lost probes
+            socket.on('loss-report', (request, ack) => {
+                if (typeof ack !== 'function') return;
+
+                const run = socket.data.lossRun;
+                if (!run || !request || run.id !== request.run) {
+                    return ack({ received: 0, duplicates: 0, reordered: 0 });
+                }
+
+                ack({
+                    received: run.seen.size,
+                    duplicates: run.duplicates,
+                    reordered: run.reordered
+                });
+            });
+
+            socket.on('disconnect', () => {
+                activeConnections.delete(socket.id);
+            });
+        });
+
+        return io;
+    }
+
+    return {
+        router,
+        tracker,
+        activeConnections,
+        counters,
+        attachLatencyChannel
+    };
+}
+
+module.exports = {
+    createTestServerRoutes,
+    TransferTracker,
+    mergeSnapshots,
+    summarizeTransfers
+};
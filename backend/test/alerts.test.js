@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { parseAlertRules, AlertManager } = require('../alerts');
+const { MemoryStore } = require('../stores');
+
+const logger = { info() {}, warn() {}, error() {} };
+
+let resultCount = 0;
+function result(download, extra = {}) {
+    return {
+        id: `result-${++resultCount}`,
+        clientIp: '203.0.113.5',
+        server: { id: 1 },
+        results: { download, upload: 20, ping: 15 },
+        ...extra
+    };
+}
+
+function createManager(rules, options = {}) {
+    const store = new MemoryStore();
+    const manager = new AlertManager({ rules: parseAlertRules(rules), store, logger, retryDelay: 10, ...options });
+    return { manager, store };
+}
+
+// Local webhook receiver answering with the given status codes in turn
+async function startReceiver(statuses) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push(JSON.parse(body));
+            res.statusCode = statuses[Math.min(requests.length - 1, statuses.length - 1)];
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+async function waitForDelivery(store, id) {
+    for (let i = 0; i < 100; i++) {
+        const [alert] = (await store.listAlerts()).filter(a => a.id === id);
+        if (alert.delivery.status !== 'pending') return alert;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('Alert delivery did not finish');
+}
+
+test('parseAlertRules fills defaults and rejects invalid rules', () => {
+    const [rule] = parseAlertRules([{ id: 'slow', metric: 'download', operator: '<', threshold: 50 }]);
+    assert.deepStrictEqual(rule, {
+        id: 'slow',
+        description: 'download < 50',
+        metric: 'download',
+        operator: '<',
+        threshold: 50,
+        consecutive: 1,
+        serverId: null,
+        webhook: null
+    });
+
+    assert.throws(() => parseAlertRules({}), /must be an array/);
+    assert.throws(() => parseAlertRules([{ id: 'a', metric: 'download', operator: '!=', threshold: 1 }]), /operator must be one of/);
+    assert.throws(() => parseAlertRules([{ id: 'a', metric: 'download', operator: '<', threshold: 1, consecutive: 0 }]), /consecutive/);
+    assert.throws(() => parseAlertRules([
+        { id: 'a', metric: 'download', operator: '<', threshold: 1 },
+        { id: 'a', metric: 'upload', operator: '<', threshold: 1 }
+    ]), /duplicate id/);
+});
+
+test('a rule fires once per streak of consecutive breaches', async () => {
+    const { manager, store } = createManager([{ id: 'slow', metric: 'download', operator: '<', threshold: 50, consecutive: 3 }]);
+
+    assert.strictEqual((await manager.evaluate(result(10))).length, 0);
+    assert.strictEqual((await manager.evaluate(result(20))).length, 0);
+
+    const [alert] = await manager.evaluate(result(30));
+    assert.strictEqual(alert.ruleId, 'slow');
+    assert.deepStrictEqual(alert.values, [10, 20, 30]);
+    assert.strictEqual(alert.delivery.status, 'none');
+
+    // The streak continues without firing again, and keeps only the latest values
+    for (const download of [40, 41, 42, 43]) {
+        assert.strictEqual((await manager.evaluate(result(download))).length, 0);
+    }
+    assert.deepStrictEqual(manager.streaks.get('slow|203.0.113.5').values, [41, 42, 43]);
+
+    // Recovery resets the streak, so the next run of breaches fires again
+    await manager.evaluate(result(100));
+    await manager.evaluate(result(1));
+    await manager.evaluate(result(2));
+    const [again] = await manager.evaluate(result(3));
+    assert.deepStrictEqual(again.values, [1, 2, 3]);
+
+    assert.strictEqual((await store.listAlerts()).length, 2);
+});
+
+test('streaks are kept per client and skip results without the metric or for other servers', async () => {
+    const { manager } = createManager([
+        { id: 'bloat', metric: 'loadedLatency.download.median', operator: '>', threshold: 200, consecutive: 2, serverId: 1 }
+    ]);
+    const bloated = extra => result(100, { results: { download: 100, loadedLatency: { download: { median: 300 } } }, ...extra });
+
+    assert.strictEqual((await manager.evaluate(bloated())).length, 0);
+    assert.strictEqual((await manager.evaluate(result(100))).length, 0);
+    assert.strictEqual((await manager.evaluate(bloated({ server: { id: 2 } }))).length, 0);
+    assert.strictEqual((await manager.evaluate(bloated({ clientIp: '198.51.100.1' }))).length, 0);
+
+    const [alert] = await manager.evaluate(bloated({ clientIp: '::ffff:203.0.113.5' }));
+    assert.strictEqual(alert.clientIp, '203.0.113.5');
+    assert.deepStrictEqual(alert.values, [300, 300]);
+});
+
+test('webhook delivery retries until the receiver accepts the alert', async () => {
+    const receiver = await startReceiver([500, 503, 200]);
+    const { manager, store } = createManager(
+        [{ id: 'slow', metric: 'download', operator: '<', threshold: 50, webhook: receiver.url }],
+        { retries: 3 }
+    );
+
+    try {
+        const [alert] = await manager.evaluate(result(10));
+        assert.strictEqual(alert.delivery.status, 'pending');
+
+        const delivered = await waitForDelivery(store, alert.id);
+        assert.strictEqual(delivered.delivery.status, 'delivered');
+        assert.strictEqual(delivered.delivery.attempts, 3);
+        assert.strictEqual(delivered.delivery.lastError, null);
+
+        assert.strictEqual(receiver.requests.length, 3);
+        assert.strictEqual(receiver.requests[0].event, 'alert');
+        assert.strictEqual(receiver.requests[0].alert.ruleId, 'slow');
+    } finally {
+        await receiver.close();
+    }
+});
+
+test('webhook delivery gives up after the configured retries', async () => {
+    const receiver = await startReceiver([500]);
+    const { manager, store } = createManager(
+        [{ id: 'slow', metric: 'download', operator: '<', threshold: 50 }],
+        { retries: 2, webhookUrl: receiver.url }
+    );
+
+    try {
+        const [alert] = await manager.evaluate(result(10));
+        const failed = await waitForDelivery(store, alert.id);
+
+        assert.strictEqual(failed.delivery.status, 'failed');
+        assert.strictEqual(failed.delivery.attempts, 3);
+        assert.strictEqual(failed.delivery.lastError, 'HTTP 500');
+        assert.strictEqual(receiver.requests.length, 3);
+    } finally {
+        await receiver.close();
+    }
+});
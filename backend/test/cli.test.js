@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseArgs, formatResult, checkThresholds } = require('../bin/speedtest');
+const { registerServer, freePort, runCli } = require('./helpers/processes');
+const { startTestStack } = require('./helpers/engine');
+
+const QUICK = ['--duration', '1', '--pings', '3'];
+
+const RESULT = {
+    timestamp: '2024-01-01T00:00:00.000Z',
+    server: { id: 'fleet-1', name: 'Frankfurt, "DE"', host: 'fra.example.com', port: 3001 },
+    ping: 12.345,
+    jitter: 1.5,
+    packetLoss: null,
+    download: 250.5,
+    upload: null,
+    failures: [],
+    passed: true
+};
+
+test('parseArgs reads flags and rejects bad values', () => {
+    const options = parseArgs(['--duration=5', '--streams', '2', '--no-upload', '--format', 'csv', '--min-download', '100']);
+
+    assert.strictEqual(options.duration, 5);
+    assert.strictEqual(options.streams, 2);
+    assert.strictEqual(options.upload, false);
+    assert.strictEqual(options.format, 'csv');
+    assert.strictEqual(options.minDownload, 100);
+    assert.strictEqual(parseArgs([]).streams, null);
+
+    assert.throws(() => parseArgs(['--format', 'xml']), /--format must be one of/);
+    assert.throws(() => parseArgs(['--streams', '0']), /must be positive/);
+    assert.throws(() => parseArgs(['--pings']), /Missing value for --pings/);
+    assert.throws(() => parseArgs(['--quiet-hours', '25:00-07:00']), /HH:MM-HH:MM/);
+});
+
+test('checkThresholds reports every missed threshold', () => {
+    const failures = checkThresholds(RESULT, { maxPing: 10, minDownload: 500, minUpload: 50 });
+
+    // Skipped directions are not held against the run
+    assert.deepStrictEqual(failures, [
+        'ping 12.3 ms is above 10 ms',
+        'download 250.50 Mbps is below 500 Mbps'
+    ]);
+});
+
+test('formatResult writes csv with quoting and an optional header', () => {
+    assert.strictEqual(
+        formatResult(RESULT, { format: 'csv', csvHeader: true }),
+        'timestamp,serverId,serverName,ping,jitter,download,upload,passed\n' +
+        '2024-01-01T00:00:00.000Z,fleet-1,"Frankfurt, ""DE""",12.35,1.50,250.50,,true'
+    );
+});
+
+test('formatResult writes the whole result as json', () => {
+    assert.deepStrictEqual(JSON.parse(formatResult(RESULT, { format: 'json' })), RESULT);
+});
+
+test('speedtest CLI against a local test server', async (t) => {
+    const stack = await startTestStack();
+    const { testServer, api } = stack;
+    const host = `127.0.0.1:${testServer.port}`;
+
+    try {
+        await t.test('measures a server given by --host and prints json', async () => {
+            const { code, stdout } = await runCli(['--host', host, '--api', api.url, '--format', 'json', ...QUICK]);
+            const result = JSON.parse(stdout);
+
+            assert.strictEqual(code, 0);
+            assert.strictEqual(result.server.port, testServer.port);
+            assert.ok(result.ping >= 0);
+            assert.ok(result.packetLoss >= 0);
+            assert.ok(result.download > 0);
+            assert.ok(result.upload > 0);
+            assert.ok(result.receipts.download && result.receipts.upload);
+            assert.strictEqual(result.passed, true);
+        });
+
+        await t.test('prints one csv row, with a header when asked', async () => {
+            const { code, stdout } = await runCli(['--host', host, '--api', api.url, '--format', 'csv', '--csv-header', '--no-upload', ...QUICK]);
+            const lines = stdout.trim().split('\n');
+
+            assert.strictEqual(code, 0);
+            assert.strictEqual(lines.length, 2);
+            assert.strictEqual(lines[0], 'timestamp,serverId,serverName,ping,jitter,download,upload,passed');
+            assert.match(lines[1], new RegExp(`^[^,]+,${host},${host},[\\d.]+,[\\d.]+,[\\d.]+,,true$`));
+        });
+
+        await t.test('exits with 2 when a threshold is not met', async () => {
+            const { code, stdout } = await runCli(['--host', host, '--api', api.url, '--no-upload', '--min-download', '1000000', ...QUICK]);
+
+            assert.strictEqual(code, 2);
+            assert.match(stdout, /^FAILED: {3}download [\d.]+ Mbps is below 1000000 Mbps$/m);
+        });
+
+        await t.test('selects a server from the API', async () => {
+            const { code, stdout, stderr } = await runCli(['--api', api.url, '--no-upload', ...QUICK]);
+
+            assert.strictEqual(code, 0);
+            assert.match(stderr, /Selecting server/);
+            assert.match(stdout, /^Server: {3}Primary Server/m);
+            assert.match(stdout, /^Download: [\d.]+ Mbps$/m);
+            assert.match(stdout, /^Upload: {3}skipped$/m);
+        });
+
+        await t.test('saves a verified result through a test session', async () => {
+            const { code, stdout, stderr } = await runCli(['--api', api.url, '--save', '--format', 'json', ...QUICK]);
+            const result = JSON.parse(stdout);
+
+            assert.strictEqual(code, 0);
+            assert.match(stderr, new RegExp(`Result saved as ${result.id} \\(verified\\)`));
+
+            const saved = await (await fetch(`${api.url}/api/results/${result.id}`)).json();
+            assert.strictEqual(saved.results.sessionId, result.id);
+            assert.strictEqual(saved.results.verified, true);
+        });
+
+        await t.test('skips unreachable servers when selecting', async () => {
+            const deadPort = await freePort();
+            const response = await registerServer(api, { id: 'dead', name: 'Dead Server', port: deadPort });
+            assert.strictEqual(response.status, 201);
+
+            const { code, stdout, stderr } = await runCli(['--api', api.url, '--no-download', '--no-upload', ...QUICK]);
+
+            assert.strictEqual(code, 0);
+            assert.match(stderr, /Dead Server: unreachable/);
+            assert.match(stderr, /Primary Server: [\d.]+ ms/);
+            assert.match(stdout, /^Server: {3}Primary Server/m);
+        });
+
+        await t.test('Ctrl-C between scheduled runs ends the schedule', { timeout: 30000 }, async () => {
+            const { code, stdout, stderr } = await runCli(
+                ['--host', host, '--api', api.url, '--every', '60', '--no-upload', ...QUICK],
+                {},
+                { interruptOn: /^Download: /m }
+            );
+
+            assert.strictEqual(code, 130);
+            assert.strictEqual(stdout.match(/^Download: /gm).length, 1);
+            assert.match(stderr, /Scheduled runs stopped/);
+        });
+
+        await t.test('Ctrl-C during a scheduled run aborts it and ends the schedule', { timeout: 30000 }, async () => {
+            const { code, stdout, stderr } = await runCli(
+                ['--host', host, '--api', api.url, '--every', '60', ...QUICK],
+                {},
+                { interruptOn: /Testing download/ }
+            );
+
+            assert.strictEqual(code, 130);
+            assert.strictEqual(stdout, '');
+            assert.doesNotMatch(stderr, /speed test failed/);
+            assert.match(stderr, /Scheduled runs stopped/);
+        });
+
+        await t.test('rejects a server id the API does not list', async () => {
+            const { code, stderr } = await runCli(['--api', api.url, '--server', 'missing', ...QUICK]);
+
+            assert.strictEqual(code, 1);
+            assert.match(stderr, /Unknown server missing; available: 1/);
+        });
+    } finally {
+        await stack.stop();
+    }
+});
+
+test('speedtest CLI fails when the server is unreachable', async () => {
+    const port = await freePort();
+    const { code, stdout, stderr } = await runCli(['--host', `127.0.0.1:${port}`, '--api', `http://127.0.0.1:${port}`, ...QUICK]);
+
+    assert.strictEqual(code, 1);
+    assert.strictEqual(stdout, '');
+    assert.match(stderr, /Speed test failed: Ping test failed/);
+});
+
+test('speedtest CLI prints usage for unknown options', async () => {
+    const { code, stderr } = await runCli(['--fast']);
+
+    assert.strictEqual(code, 1);
+    assert.match(stderr, /Unknown option: --fast/);
+    assert.match(stderr, /Usage: speedtest/);
+});
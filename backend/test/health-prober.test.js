@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { io } = require('socket.io-client');
+const { HealthProber, FLAPPING_THRESHOLD } = require('../health-prober');
+const { ServerRegistry } = require('../server-registry');
+const { startTestServer } = require('./helpers/processes');
+
+const logger = { info() {}, warn() {}, error() {} };
+
+const ok = (responseTime = 10) => ({ time: Date.now(), ok: true, responseTime });
+const fail = (error = 'timed out') => ({ time: Date.now(), ok: false, error });
+
+// Prober over a stub registry; each round answers a server's probe with probeFor(server)
+function createProber(servers, probeFor, options = {}) {
+    const prober = new HealthProber({ registry: { list: () => servers }, logger, ...options });
+    prober.probe = async server => probeFor(server);
+    return prober;
+}
+
+// Probe a single online server once per given result
+async function probeSequence(probes, options) {
+    const server = { id: 1, name: 'Primary', status: 'online' };
+    const queue = [...probes];
+    const prober = createProber([server], () => queue.shift(), options);
+    const statuses = [];
+
+    while (queue.length > 0) {
+        await prober.probeAll();
+        statuses.push(server.status);
+    }
+    return { server, prober, statuses };
+}
+
+test('success rate and response time cover the last window of probes', async () => {
+    const { server } = await probeSequence([fail(), fail(), ok(), ok(), ok(), ok(), ok(), ok(), ok(), ok()]);
+    assert.strictEqual(server.health.successRate, 0.8);
+    assert.strictEqual(server.health.probes, 10);
+    assert.strictEqual(server.health.avgResponseTime, 10);
+
+    // Two more probes push the failures out of the window
+    const slid = await probeSequence([fail(), fail(), ok(), ok(), ok(), ok(), ok(), ok(), ok(), ok(), ok(30), ok(30)]);
+    assert.strictEqual(slid.server.health.successRate, 1);
+    assert.strictEqual(slid.server.health.probes, 10);
+    assert.strictEqual(slid.server.health.avgResponseTime, 14);
+});
+
+test('a new status applies only after two rounds in a row', async () => {
+    // One slow round is not enough
+    const blip = await probeSequence([ok(600), ok(10), ok(10)]);
+    assert.deepStrictEqual(blip.statuses, ['online', 'online', 'online']);
+    assert.strictEqual(blip.prober.history.length, 0);
+
+    const slow = await probeSequence([ok(600), ok(600), ok(10), ok(10)]);
+    assert.deepStrictEqual(slow.statuses, ['online', 'degraded', 'degraded', 'online']);
+    assert.deepStrictEqual(slow.prober.history.map(change => [change.from, change.to]), [
+        ['online', 'degraded'],
+        ['degraded', 'online']
+    ]);
+});
+
+test('a server is offline after three consecutive failures', async () => {
+    const { statuses, server } = await probeSequence([fail(), fail(), fail()], { hysteresis: 1 });
+    assert.deepStrictEqual(statuses, ['degraded', 'degraded', 'offline']);
+    assert.strictEqual(server.health.consecutiveFailures, 3);
+    assert.strictEqual(server.health.lastError, 'timed out');
+
+    // A success in between resets the count
+    const interrupted = await probeSequence([fail(), fail(), ok(), fail(), fail()], { hysteresis: 1 });
+    assert.strictEqual(interrupted.server.status, 'degraded');
+    assert.strictEqual(interrupted.server.health.consecutiveFailures, 2);
+});
+
+test('a server is degraded below 80% success or above 500 ms', async () => {
+    const losing = await probeSequence([ok(), ok(), ok(), ok(), fail(), fail()], { hysteresis: 1 });
+    assert.deepStrictEqual(losing.statuses, ['online', 'online', 'online', 'online', 'online', 'degraded']);
+    assert.strictEqual(losing.prober.history[0].reason, 'timed out');
+
+    const slow = await probeSequence([ok(500), ok(502)], { hysteresis: 1 });
+    assert.deepStrictEqual(slow.statuses, ['online', 'degraded']);
+    assert.strictEqual(slow.prober.history[0].reason, 'success rate 100%, response time 501 ms');
+});
+
+test('status history keeps the latest 1000 changes', async () => {
+    // Every round flips the server between online and degraded
+    const probes = Array.from({ length: 1005 }, (_, i) => ok(i % 2 === 0 ? 600 : 10));
+    const { prober } = await probeSequence(probes, { window: 1, hysteresis: 1 });
+
+    assert.strictEqual(prober.history.length, 1000);
+    assert.strictEqual(prober.listHistory().length, 1000);
+    assert.strictEqual(prober.listHistory()[0].to, 'degraded');
+    assert.strictEqual(prober.listHistory()[999].to, 'online');
+});
+
+test('servers changing status FLAPPING_THRESHOLD times within an hour are flapping', async () => {
+    const servers = [{ id: 1, status: 'online' }, { id: 2, status: 'online' }];
+    const rounds = { 1: 0, 2: 0 };
+    const prober = createProber(servers, (server) => {
+        // Server 1 flips every round, server 2 in all but the last
+        const round = rounds[server.id]++;
+        const flips = server.id === 1 ? FLAPPING_THRESHOLD : FLAPPING_THRESHOLD - 1;
+        return ok(Math.min(round, flips - 1) % 2 === 0 ? 600 : 10);
+    }, { window: 1, hysteresis: 1 });
+
+    for (let i = 0; i < FLAPPING_THRESHOLD; i++) {
+        await prober.probeAll();
+    }
+
+    assert.strictEqual(prober.listHistory({ serverId: 1 }).length, FLAPPING_THRESHOLD);
+    assert.strictEqual(prober.listHistory({ serverId: 2 }).length, FLAPPING_THRESHOLD - 1);
+    assert.deepStrictEqual(prober.listFlapping(), [{ serverId: '1', changesLastHour: FLAPPING_THRESHOLD }]);
+
+    // Changes older than an hour no longer count
+    prober.history.find(change => change.serverId === 1).timestamp = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+    assert.deepStrictEqual(prober.listFlapping(), []);
+});
+
+test('probes pass the connection count from /health to the registry', async () => {
+    const testServer = await startTestServer();
+    const socket = io(`http://127.0.0.1:${testServer.port}`, { transports: ['websocket'] });
+
+    try {
+        await new Promise((resolve, reject) => {
+            socket.once('connect', resolve);
+            socket.once('connect_error', reject);
+        });
+
+        const registry = new ServerRegistry({
+            staticServers: [{ id: 1, name: 'Local', host: '127.0.0.1', port: testServer.port, capacity: 1000 }]
+        });
+        const prober = new HealthProber({ registry, logger });
+        await prober.probeAll();
+
+        const [server] = registry.list();
+        assert.strictEqual(server.health.successRate, 1);
+        assert.strictEqual(server.activeConnections, 1);
+    } finally {
+        socket.close();
+        await testServer.stop();
+    }
+});
@@ -0,0 +1,61 @@
+// Short engine runs against local test servers, shared by the engine, proxy, fleet and CLI suites
+const { io } = require('socket.io-client');
+const SpeedTestEngine = require('../../speedtest-engine');
+const { startTestServer, startApiServer } = require('./processes');
+
+const QUICK_CONFIG = {
+    testDuration: 1000,
+    pingCount: 3,
+    pingInterval: 10,
+    lossProbeCount: 20,
+    lossProbeTimeout: 200
+};
+
+// Without options.apiBase no API answers, so the engine falls back to a local test id
+function createEngine(options = {}) {
+    return new SpeedTestEngine({
+        apiBase: 'http://127.0.0.1:1',
+        io: io,
+        warn: () => {},
+        ...options,
+        config: { ...QUICK_CONFIG, ...(options.config || {}) }
+    });
+}
+
+// A test server that accepts one-second test plans
+function startQuickTestServer(env) {
+    return startTestServer({ PLAN_MIN_DURATION: '1000', ...env });
+}
+
+// A quick test server plus an API listing it as the static Primary Server
+async function startTestStack(apiEnv = {}) {
+    const testServer = await startQuickTestServer();
+    let api;
+    try {
+        api = await startApiServer({
+            LOCAL_TEST_SERVER: 'true',
+            TEST_SERVER_PORT: String(testServer.port),
+            REGISTRY_ALLOWED_HOSTS: '127.0.0.1',
+            ...apiEnv
+        });
+    } catch (error) {
+        await testServer.stop();
+        throw error;
+    }
+
+    return {
+        testServer,
+        api,
+        stop: async () => {
+            await api.stop();
+            await testServer.stop();
+        }
+    };
+}
+
+module.exports = {
+    QUICK_CONFIG,
+    createEngine,
+    startQuickTestServer,
+    startTestStack
+};
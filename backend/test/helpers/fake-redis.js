@@ -0,0 +1,136 @@
+// In-process stand-in for the node-redis v4 client, covering the commands the
+// stores use. Sorted sets order by score, then member, like Redis.
+function parseScore(value) {
+    if (value === '-inf') return -Infinity;
+    if (value === '+inf' || value === 'inf') return Infinity;
+    return Number(value);
+}
+
+class FakeRedisClient {
+    constructor() {
+        this.isOpen = false;
+        this.strings = new Map();
+        this.sortedSets = new Map();
+    }
+
+    on() {
+        return this;
+    }
+
+    async connect() {
+        this.isOpen = true;
+    }
+
+    async quit() {
+        this.isOpen = false;
+    }
+
+    live(key) {
+        const entry = this.strings.get(key);
+        if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this.strings.delete(key);
+            return null;
+        }
+        return entry || null;
+    }
+
+    async set(key, value, options = {}) {
+        if (options.NX && this.live(key)) return null;
+
+        this.strings.set(key, {
+            value: String(value),
+            expiresAt: options.EX ? Date.now() + options.EX * 1000 : null
+        });
+        return 'OK';
+    }
+
+    async get(key) {
+        const entry = this.live(key);
+        return entry ? entry.value : null;
+    }
+
+    async mGet(keys) {
+        return keys.map(key => {
+            const entry = this.live(key);
+            return entry ? entry.value : null;
+        });
+    }
+
+    async del(keys) {
+        let removed = 0;
+        for (const key of [].concat(keys)) {
+            if (this.strings.delete(key) || this.sortedSets.delete(key)) removed++;
+        }
+        return removed;
+    }
+
+    members(key) {
+        const set = this.sortedSets.get(key) || new Map();
+        return Array.from(set, ([value, score]) => ({ value, score }))
+            .sort((a, b) => (a.score - b.score) || (a.value < b.value ? -1 : a.value > b.value ? 1 : 0));
+    }
+
+    async zAdd(key, members) {
+        const set = this.sortedSets.get(key) || new Map();
+        for (const member of [].concat(members)) {
+            set.set(String(member.value), Number(member.score));
+        }
+        this.sortedSets.set(key, set);
+    }
+
+    async zCard(key) {
+        return (this.sortedSets.get(key) || new Map()).size;
+    }
+
+    async zCount(key, min, max) {
+        return this.members(key).filter(m => m.score >= parseScore(min) && m.score <= parseScore(max)).length;
+    }
+
+    rankRange(members, start, stop) {
+        const length = members.length;
+        const from = start < 0 ? Math.max(0, length + start) : start;
+        const to = stop < 0 ? length + stop : Math.min(stop, length - 1);
+        return to < from ? [] : members.slice(from, to + 1);
+    }
+
+    async zRange(key, start, stop, options = {}) {
+        let members = this.members(key);
+
+        if (options.BY === 'SCORE') {
+            // With REV the range is given as max, min
+            const [min, max] = options.REV ? [stop, start] : [start, stop];
+            members = members.filter(m => m.score >= parseScore(min) && m.score <= parseScore(max));
+            if (options.REV) members.reverse();
+        } else {
+            if (options.REV) members.reverse();
+            members = this.rankRange(members, Number(start), Number(stop));
+        }
+
+        if (options.LIMIT) {
+            members = members.slice(options.LIMIT.offset, options.LIMIT.offset + options.LIMIT.count);
+        }
+        return members.map(m => m.value);
+    }
+
+    async zRem(key, values) {
+        const set = this.sortedSets.get(key);
+        if (!set) return 0;
+        let removed = 0;
+        for (const value of [].concat(values)) {
+            if (set.delete(String(value))) removed++;
+        }
+        return removed;
+    }
+
+    async zRemRangeByScore(key, min, max) {
+        const doomed = this.members(key).filter(m => m.score >= parseScore(min) && m.score <= parseScore(max));
+        return this.zRem(key, doomed.map(m => m.value));
+    }
+
+    async zRemRangeByRank(key, start, stop) {
+        const doomed = this.rankRange(this.members(key), start, stop);
+        return this.zRem(key, doomed.map(m => m.value));
+    }
+}
+
+module.exports = FakeRedisClient;
@@ -0,0 +1,135 @@
+// Start backend entry points as child processes on free ports for behaviour tests
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const BACKEND_DIR = path.join(__dirname, '..', '..');
+const REGISTRY_TOKEN = 'test-registry-token';
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.unref();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+async function waitFor(url, child, timeout = 10000) {
+    const deadline = Date.now() + timeout;
+
+    while (Date.now() < deadline) {
+        if (child.exitCode !== null) {
+            throw new Error(`${url} exited with code ${child.exitCode}`);
+        }
+        try {
+            const response = await fetch(url);
+            if (response.ok) return;
+        } catch (error) {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    throw new Error(`${url} did not come up within ${timeout} ms`);
+}
+
+// Run a backend script with PORT set; logs and other files land in a scratch directory
+async function startProcess(script, healthPath, env = {}) {
+    const port = await freePort();
+    const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'speedtest-'));
+    const child = spawn(process.execPath, [path.join(BACKEND_DIR, script)], {
+        cwd,
+        env: { ...process.env, NODE_ENV: 'test', ...env, PORT: String(port) },
+        stdio: 'ignore'
+    });
+
+    const stop = () => new Promise((resolve) => {
+        const cleanup = () => {
+            fs.rmSync(cwd, { recursive: true, force: true });
+            resolve();
+        };
+        if (child.exitCode !== null) return cleanup();
+        child.once('exit', cleanup);
+        child.kill('SIGTERM');
+    });
+
+    try {
+        await waitFor(`http://127.0.0.1:${port}${healthPath}`, child);
+    } catch (error) {
+        await stop();
+        throw error;
+    }
+
+    return { port, url: `http://127.0.0.1:${port}`, child, stop };
+}
+
+function startTestServer(env) {
+    return startProcess('test-server.js', '/health', env);
+}
+
+// The fleet app lives outside the backend package, so point it at the backend's dependencies
+function startFleetServer(env) {
+    return startProcess(path.join('..', 'test-servers', 'server-app.js'), '/health', {
+        NODE_PATH: path.join(BACKEND_DIR, 'node_modules'),
+        ...env
+    });
+}
+
+function startApiServer(env) {
+    return startProcess('server.js', '/api/health', { LOCAL_TEST_SERVER: 'false', REGISTRY_TOKEN, ...env });
+}
+
+// Register a test server with the API the way test-servers/server-app.js does
+function registerServer(api, server, token = REGISTRY_TOKEN) {
+    return fetch(`${api.url}/api/registry/servers`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({
+            name: `Server ${server.port}`,
+            region: 'test',
+            host: '127.0.0.1',
+            capacity: 100,
+            coordinates: { lat: 0, lon: 0 },
+            ...server
+        })
+    });
+}
+
+// Run the CLI to completion and collect its output. options.interruptOn sends
+// SIGINT once the output so far matches it, as Ctrl-C would.
+function runCli(args, env = {}, options = {}) {
+    return new Promise((resolve) => {
+        const child = spawn(process.execPath, [path.join(BACKEND_DIR, 'bin', 'speedtest.js'), ...args], {
+            env: { ...process.env, ...env }
+        });
+        let stdout = '';
+        let stderr = '';
+        let interrupted = false;
+
+        const watch = () => {
+            if (options.interruptOn && !interrupted && options.interruptOn.test(stdout + stderr)) {
+                interrupted = true;
+                child.kill('SIGINT');
+            }
+        };
+        child.stdout.on('data', chunk => { stdout += chunk; watch(); });
+        child.stderr.on('data', chunk => { stderr += chunk; watch(); });
+        child.on('close', code => resolve({ code, stdout, stderr }));
+    });
+}
+
+module.exports = {
+    REGISTRY_TOKEN,
+    freePort,
+    startTestServer,
+    startFleetServer,
+    startApiServer,
+    registerServer,
+    runCli
+};
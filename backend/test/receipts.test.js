@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    signReceipt,
+    verifyReceipt,
+    verifyResultReceipts,
+    claimResultReceipts,
+    hasReceiptSecret
+} = require('../receipts');
+const { MemoryStore } = require('../stores');
+
+const SECRET = 'test-secret';
+
+// 12.5 MB in 1 s is 100 Mbps
+function receipt(direction, fields = {}) {
+    return signReceipt({
+        sessionId: 'session-1',
+        direction,
+        bytes: 12.5 * 1e6,
+        duration: 1000,
+        connections: 4,
+        server: '1',
+        ...fields
+    });
+}
+
+function document(receipts, results = { download: 100, upload: 100 }) {
+    return { server: { id: 1 }, results, receipts };
+}
+
+test('signed receipts verify and tampered ones do not', () => {
+    const signed = signReceipt({ sessionId: 's', direction: 'download', bytes: 10, duration: 1 }, SECRET);
+
+    assert.strictEqual(verifyReceipt(signed, SECRET), true);
+    assert.strictEqual(verifyReceipt({ ...signed, bytes: 20 }, SECRET), false);
+    assert.strictEqual(verifyReceipt(signed, 'other-secret'), false);
+    assert.strictEqual(verifyReceipt(null, SECRET), false);
+});
+
+test('verifyResultReceipts accepts matching receipts', () => {
+    const verification = verifyResultReceipts(
+        document({ download: receipt('download'), upload: receipt('upload') }),
+        'session-1'
+    );
+
+    assert.strictEqual(verification.verified, true);
+    assert.strictEqual(verification.download.serverMbps, 100);
+    assert.strictEqual(verification.upload.deviation, 0);
+});
+
+test('verifyResultReceipts explains rejected receipts', () => {
+    const cases = [
+        [undefined, 'missing receipt'],
+        [{ ...receipt('download'), bytes: 1 }, 'invalid signature'],
+        [receipt('upload'), 'receipt is for the wrong direction'],
+        [receipt('download', { sessionId: 'session-2' }), 'receipt belongs to another session'],
+        [receipt('download', { server: '2' }), 'receipt was issued by another server'],
+        [receipt('download', { issuedAt: '2000-01-01T00:00:00Z' }), 'receipt has expired'],
+        [receipt('download', { duration: 0 }), 'receipt covers no transfer time'],
+        [receipt('download', { bytes: 1e6 }), 'claimed speed does not match server byte count']
+    ];
+
+    for (const [download, reason] of cases) {
+        const verification = verifyResultReceipts(document({ download, upload: receipt('upload') }), 'session-1');
+        assert.strictEqual(verification.download.reason, reason);
+        assert.strictEqual(verification.verified, false);
+    }
+});
+
+test('claimResultReceipts rejects receipts used by an earlier result', async () => {
+    const store = new MemoryStore();
+    const claim = (signature) => store.claimReceipt(signature, 60);
+    const receipts = { download: receipt('download'), upload: receipt('upload') };
+
+    const first = verifyResultReceipts(document(receipts), 'session-1');
+    await claimResultReceipts(document(receipts), first, claim);
+    assert.strictEqual(first.verified, true);
+
+    const replay = verifyResultReceipts(document(receipts), 'session-1');
+    await claimResultReceipts(document(receipts), replay, claim);
+    assert.strictEqual(replay.verified, false);
+    assert.strictEqual(replay.download.reason, 'receipt was already used');
+    assert.strictEqual(replay.upload.reason, 'receipt was already used');
+});
+
+test('production requires a receipt secret', () => {
+    assert.strictEqual(hasReceiptSecret({ NODE_ENV: 'production' }), false);
+    assert.strictEqual(hasReceiptSecret({ NODE_ENV: 'production', RECEIPT_SECRET: 'x' }), true);
+    assert.strictEqual(hasReceiptSecret({}), true);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseResultsQuery, applyResultsQuery, isTimeRangeQuery, normalizeIp } = require('../results-query');
+
+function result(id, minutes, values, extra = {}) {
+    return {
+        id,
+        timestamp: new Date(Date.parse('2024-01-01T00:00:00Z') + minutes * 60 * 1000).toISOString(),
+        results: values,
+        ...extra
+    };
+}
+
+const results = [
+    result('a', 0, { download: 50, upload: 10, ping: 20 }, { clientIp: '::ffff:203.0.113.5', server: { id: 1 } }),
+    result('b', 1, { download: 150, upload: 30, ping: 12 }, { clientIp: '203.0.113.9', server: { id: 2 } }),
+    result('c', 2, { download: 90, upload: 20 }, { clientIp: '198.51.100.1', server: { id: 1 } })
+];
+
+test('parseResultsQuery applies defaults', () => {
+    const query = parseResultsQuery({});
+    assert.deepStrictEqual(query, { filters: {}, sort: 'timestamp', order: 'desc', page: 1, limit: 20, errors: [] });
+});
+
+test('parseResultsQuery reports every invalid field', () => {
+    const query = parseResultsQuery({ from: 'soon', ip: 'nope', subnet: '10.0.0.0', sort: 'jitter', order: 'up', page: '0', limit: '500' });
+    assert.deepStrictEqual(query.errors.map(e => e.field), ['from', 'ip', 'subnet', 'sort', 'order', 'page', 'limit']);
+});
+
+test('applyResultsQuery filters, sorts and paginates', () => {
+    const query = parseResultsQuery({ subnet: '203.0.113.0/24', sort: 'download', order: 'asc' });
+    const page = applyResultsQuery(results, query);
+
+    assert.deepStrictEqual(page.results.map(r => r.id), ['a', 'b']);
+    assert.deepStrictEqual(page.pagination, { page: 1, limit: 20, total: 2, totalPages: 1 });
+});
+
+test('applyResultsQuery puts results missing the sort field last', () => {
+    const page = applyResultsQuery(results, parseResultsQuery({ sort: 'ping', order: 'desc', limit: '2', page: '2' }));
+
+    assert.deepStrictEqual(page.results.map(r => r.id), ['c']);
+    assert.strictEqual(page.pagination.totalPages, 2);
+});
+
+test('isTimeRangeQuery only accepts timestamp sorting with time filters', () => {
+    assert.strictEqual(isTimeRangeQuery(parseResultsQuery({ from: '0', order: 'asc' })), true);
+    assert.strictEqual(isTimeRangeQuery(parseResultsQuery({ sort: 'download' })), false);
+    assert.strictEqual(isTimeRangeQuery(parseResultsQuery({ serverId: '1' })), false);
+});
+
+test('normalizeIp strips mapped prefixes and proxy hops', () => {
+    assert.strictEqual(normalizeIp('::ffff:203.0.113.5'), '203.0.113.5');
+    assert.strictEqual(normalizeIp('203.0.113.5, 10.0.0.1'), '203.0.113.5');
+    assert.strictEqual(normalizeIp(undefined), '');
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startApiServer } = require('./helpers/processes');
+
+// A plausible result for the static Primary Server (capacity 1000 Mbps)
+function result(values = {}, extra = {}) {
+    return {
+        server: { id: 1, name: 'Primary Server' },
+        results: { ping: 12, download: 90, upload: 20, ...values },
+        ...extra
+    };
+}
+
+test('/api/save-results', async (t) => {
+    // Nothing listens on the static server's port; saving results does not need it
+    const api = await startApiServer({ LOCAL_TEST_SERVER: 'true', TEST_SERVER_PORT: '1' });
+
+    const save = async (body) => {
+        const response = await fetch(`${api.url}/api/save-results`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, data: await response.json() };
+    };
+    const get = async (path) => (await fetch(`${api.url}${path}`)).json();
+
+    try {
+        await t.test('lists every field with the wrong type or range', async () => {
+            const { status, data } = await save({
+                timestamp: 'yesterday',
+                server: { id: true },
+                results: { ping: '12', download: -5, jitter: null }
+            });
+
+            assert.strictEqual(status, 400);
+            assert.strictEqual(data.success, false);
+            assert.strictEqual(data.error, 'Invalid test results');
+            assert.deepStrictEqual(data.details, [
+                { field: 'timestamp', message: 'must be an ISO 8601 date-time' },
+                { field: 'server.id', message: 'must be of type number or string' },
+                { field: 'results.ping', message: 'must be of type number' },
+                { field: 'results.jitter', message: 'must not be null' },
+                { field: 'results.download', message: 'must be at least 0' },
+                { field: 'results.upload', message: 'is required' }
+            ]);
+        });
+
+        await t.test('rejects bodies and receipts that are not objects', async () => {
+            const array = await save([result()]);
+            assert.strictEqual(array.status, 400);
+            assert.deepStrictEqual(array.data.details, [{ field: 'body', message: 'must be of type object' }]);
+
+            for (const receipts of ['signed', [], 42]) {
+                const { status, data } = await save(result({}, { receipts }));
+                assert.strictEqual(status, 400);
+                assert.deepStrictEqual(data.details, [{ field: 'receipts', message: 'must be of type object' }]);
+            }
+
+            const { status, data } = await save(result({}, { receipts: { download: 'signed', upload: null } }));
+            assert.strictEqual(status, 400);
+            assert.deepStrictEqual(data.details, [{ field: 'receipts.download', message: 'must be of type object' }]);
+        });
+
+        await t.test('keeps unknown fields clients attach', async () => {
+            const { status, data } = await save(result({ bufferbloat: 'A' }, { notes: 'wifi', receipts: null }));
+            assert.strictEqual(status, 200);
+            assert.strictEqual(data.suspect, false);
+
+            const saved = (await get(`/api/results/${data.testId}`)).results;
+            assert.strictEqual(saved.notes, 'wifi');
+            assert.strictEqual(saved.results.bufferbloat, 'A');
+        });
+
+        await t.test('flags results beyond the server capacity as suspect', async () => {
+            const { status, data } = await save(result({ download: 1500, upload: 1200 }));
+            assert.strictEqual(status, 200);
+            assert.strictEqual(data.suspect, true);
+
+            const saved = (await get(`/api/results/${data.testId}`)).results;
+            assert.deepStrictEqual(saved.suspectReasons, [
+                'download 1500.0 Mbps exceeds server capacity of 1000 Mbps',
+                'upload 1200.0 Mbps exceeds server capacity of 1000 Mbps'
+            ]);
+
+            const unknown = await save(result({}, { server: { id: 99 } }));
+            assert.strictEqual(unknown.data.suspect, true);
+            assert.deepStrictEqual((await get(`/api/results/${unknown.data.testId}`)).results.suspectReasons, ['unknown test server']);
+
+            // At capacity is still plausible
+            const full = await save(result({ download: 1000 }));
+            assert.strictEqual(full.data.suspect, false);
+        });
+
+        await t.test('keeps suspect results out of server statistics', async () => {
+            const { stats } = await get('/api/server-stats?serverId=1');
+
+            // The plausible results saved above, not the suspect one
+            assert.strictEqual(stats[1].stats.totalTests, 2);
+            assert.ok(stats[1].stats.percentiles.download.p99 <= 1000);
+        });
+    } finally {
+        await api.stop();
+    }
+});
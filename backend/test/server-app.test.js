@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { verifyReceipt } = require('../receipts');
+const { startFleetServer } = require('./helpers/processes');
+const { createEngine } = require('./helpers/engine');
+
+test('fleet server app', async (t) => {
+    const server = await startFleetServer({ SERVER_ID: 'fleet-1', REGION: 'test', PLAN_MIN_DURATION: '1000' });
+    const target = { id: 'fleet-1', name: 'Fleet', host: '127.0.0.1', port: server.port };
+
+    try {
+        await t.test('reports its region and worker', async () => {
+            const response = await fetch(`${server.url}/health`);
+            const health = await response.json();
+
+            assert.strictEqual(health.status, 'healthy');
+            assert.strictEqual(health.region, 'test');
+            assert.strictEqual(response.headers.get('x-server-region'), 'test');
+        });
+
+        await t.test('serves the full engine run with packet loss and receipts', async () => {
+            const engine = createEngine();
+
+            const result = await engine.run(target);
+
+            assert.strictEqual(result.results.packetLossDetail.sent, 20);
+            assert.strictEqual(result.results.plan.source, 'server');
+            for (const direction of ['download', 'upload']) {
+                const receipt = result.receipts[direction];
+                assert.strictEqual(verifyReceipt(receipt), true);
+                assert.strictEqual(receipt.server, 'fleet-1');
+                assert.strictEqual(receipt.bytes, result.results.serverObserved[direction].bytes);
+            }
+        });
+
+        await t.test('totals and releases sessions through the master', async () => {
+            const session = `fleet-${Date.now()}`;
+            for (let i = 0; i < 4; i++) {
+                await (await fetch(`${server.url}/download?size=1000&session=${session}`)).arrayBuffer();
+            }
+
+            const data = await (await fetch(`${server.url}/sessions/${session}`)).json();
+            assert.strictEqual(data.session.download.bytes, 4000);
+            assert.strictEqual(data.session.download.connectionCount, 4);
+            assert.strictEqual(data.session.upload, null);
+
+            const released = await (await fetch(`${server.url}/sessions/${session}`, { method: 'DELETE' })).json();
+            assert.strictEqual(released.released, true);
+            assert.strictEqual((await fetch(`${server.url}/sessions/${session}`)).status, 404);
+        });
+    } finally {
+        await server.stop();
+    }
+});
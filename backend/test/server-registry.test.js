@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ServerRegistry, RegistryError, isPrivateAddress } = require('../server-registry');
+const { REGISTRY_TOKEN, startApiServer, registerServer } = require('./helpers/processes');
+
+const PUBLIC_DNS = {
+    'fra.example.com': ['198.51.100.7'],
+    'internal.example.com': ['203.0.113.9', '10.0.0.5'],
+    'rebind.example.com': ['::ffff:127.0.0.1']
+};
+
+function createRegistry(options = {}) {
+    return new ServerRegistry({
+        lookup: async (host) => {
+            if (!PUBLIC_DNS[host]) throw new Error('ENOTFOUND');
+            return PUBLIC_DNS[host].map(address => ({ address }));
+        },
+        ...options
+    });
+}
+
+function registration(extra = {}) {
+    return {
+        id: 'fra-1',
+        name: 'Frankfurt',
+        region: 'eu-central',
+        host: 'fra.example.com',
+        port: 3001,
+        capacity: 1000,
+        coordinates: { lat: 50.1, lon: 8.7 },
+        ...extra
+    };
+}
+
+async function hostError(registry, host) {
+    const error = await registry.register(registration({ host })).then(() => null, error => error);
+    assert.ok(error instanceof RegistryError, `${host} should be rejected`);
+    return error.details[0].message;
+}
+
+test('isPrivateAddress covers loopback, link-local and private ranges', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fe80::1', 'fd00::1', '::ffff:10.0.0.1']) {
+        assert.strictEqual(isPrivateAddress(address), true, address);
+    }
+    for (const address of ['198.51.100.7', '8.8.8.8', '2001:db8::1', '::ffff:8.8.8.8']) {
+        assert.strictEqual(isPrivateAddress(address), false, address);
+    }
+});
+
+test('servers resolving to public addresses may register', async () => {
+    const registry = createRegistry();
+    const server = await registry.register(registration());
+
+    assert.strictEqual(server.id, 'fra-1');
+    assert.strictEqual(server.status, 'online');
+    assert.strictEqual(registry.get('fra-1'), server);
+});
+
+test('hosts on loopback, link-local or private networks are rejected', async () => {
+    const registry = createRegistry();
+
+    assert.match(await hostError(registry, 'localhost'), /private address/);
+    assert.match(await hostError(registry, '169.254.169.254'), /private address/);
+    assert.match(await hostError(registry, 'internal.example.com'), /private address/);
+    assert.match(await hostError(registry, 'rebind.example.com'), /private address/);
+    assert.match(await hostError(registry, 'missing.example.com'), /could not be resolved/);
+    assert.strictEqual(registry.list().length, 0);
+});
+
+test('an allowlist admits exactly the listed hosts', async () => {
+    const registry = createRegistry({ allowedHosts: ['10.0.0.5', 'Test-1.internal'] });
+
+    await registry.register(registration({ id: 'a', host: '10.0.0.5' }));
+    await registry.register(registration({ id: 'b', host: 'test-1.internal' }));
+    assert.match(await hostError(registry, 'fra.example.com'), /not in the allowed hosts/);
+});
+
+test('static servers keep their id and heartbeats refresh registered ones', async () => {
+    const registry = createRegistry({ staticServers: [{ id: 1, name: 'Local', host: 'localhost', port: 3001 }] });
+
+    await assert.rejects(registry.register(registration({ id: 1 })), /Invalid registration/);
+    assert.strictEqual(registry.heartbeat(1, {}), null);
+
+    await registry.register(registration());
+    const server = registry.heartbeat('fra-1', { activeConnections: 7 });
+    assert.strictEqual(server.activeConnections, 7);
+    assert.strictEqual(registry.heartbeat('unknown', {}), null);
+
+    // Probed connection counts apply to static servers only
+    assert.strictEqual(registry.reportConnections(1, 5).activeConnections, 5);
+    assert.strictEqual(registry.reportConnections('fra-1', 3), null);
+    assert.strictEqual(server.activeConnections, 7);
+
+    assert.strictEqual(registry.deregister('fra-1'), true);
+    assert.strictEqual(registry.deregister(1), false);
+});
+
+test('servers that stop sending heartbeats expire', async () => {
+    const registry = createRegistry({ ttl: 1000 });
+    const server = await registry.register(registration());
+
+    server.lastHeartbeat = new Date(Date.now() - 2000).toISOString();
+    registry.prune();
+    assert.strictEqual(registry.get('fra-1'), null);
+});
+
+test('only static and authenticated servers are proxied, to the address that was checked', async () => {
+    const registry = createRegistry({ staticServers: [{ id: 1, name: 'Local', host: 'localhost', port: 3001 }] });
+    const open = await registry.register(registration({ id: 'open' }));
+    const trusted = await registry.register(registration({ id: 'trusted' }), { authenticated: true });
+
+    assert.strictEqual(await registry.proxyTarget(registry.get(1)), 'http://localhost:3001');
+    assert.strictEqual(await registry.proxyTarget(open), null);
+    assert.strictEqual(await registry.proxyTarget(trusted), 'http://198.51.100.7:3001');
+
+    // The name now points into the private network
+    PUBLIC_DNS['fra.example.com'] = ['10.0.0.8'];
+    try {
+        await assert.rejects(registry.proxyTarget(trusted), /Invalid registration/);
+    } finally {
+        PUBLIC_DNS['fra.example.com'] = ['198.51.100.7'];
+    }
+});
+
+test('registry API', async (t) => {
+    const api = await startApiServer({ REGISTRY_ALLOWED_HOSTS: '127.0.0.1', REGISTRY_RATE_LIMIT: '5' });
+
+    try {
+        await t.test('requires the registry token', async () => {
+            const response = await registerServer(api, { id: 'a', port: 4000 }, 'wrong-token');
+            assert.strictEqual(response.status, 401);
+        });
+
+        await t.test('registers and reports hosts outside the allowlist', async () => {
+            const accepted = await registerServer(api, { id: 'a', port: 4000 });
+            assert.strictEqual(accepted.status, 201);
+
+            const rejected = await registerServer(api, { id: 'b', port: 4000, host: 'localhost' });
+            const data = await rejected.json();
+            assert.strictEqual(rejected.status, 400);
+            assert.deepStrictEqual(data.details, [{ field: 'host', message: 'is not in the allowed hosts' }]);
+        });
+
+        await t.test('rate-limits registry requests', async () => {
+            const heartbeat = () => fetch(`${api.url}/api/registry/servers/a/heartbeat`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${REGISTRY_TOKEN}` },
+                body: '{}'
+            });
+
+            // Three registry requests were made above; the limit is five a minute
+            assert.strictEqual((await heartbeat()).status, 200);
+            assert.strictEqual((await heartbeat()).status, 200);
+            assert.strictEqual((await heartbeat()).status, 429);
+        });
+    } finally {
+        await api.stop();
+    }
+});
+
+test('the API refuses to start without a registry token outside development', async () => {
+    await assert.rejects(startApiServer({ REGISTRY_TOKEN: '' }), /exited with code 1/);
+});
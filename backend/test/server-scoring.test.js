@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { WEIGHTS, OVERLOAD_UTILIZATION, clientRegion, scoreServers } = require('../server-scoring');
+
+const MBPS_PER_CONNECTION = 25;
+
+function server(id, extra = {}) {
+    return { id, name: `Server ${id}`, status: 'online', health: null, capacity: 1000, activeConnections: 0, ...extra };
+}
+
+// Score servers with distances and download samples keyed by server id
+function score(servers, { distances = {}, samples = {} } = {}) {
+    return scoreServers(servers, {
+        distances: new Map(Object.entries(distances)),
+        samples: new Map(Object.entries(samples).map(([id, downloads]) => [id, downloads.map(download => ({ download }))])),
+        mbpsPerConnection: MBPS_PER_CONNECTION
+    });
+}
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+test('weights add up to one', () => {
+    close(Object.values(WEIGHTS).reduce((a, b) => a + b), 1);
+});
+
+test('components without data score a neutral 0.5', () => {
+    const [ranked] = score([server(1, { capacity: null })]);
+
+    for (const name of Object.keys(WEIGHTS)) {
+        assert.strictEqual(ranked.components[name].score, 0.5, name);
+        assert.strictEqual(ranked.components[name].weight, WEIGHTS[name]);
+    }
+    close(ranked.score, 0.5);
+    assert.strictEqual(ranked.overloaded, false);
+});
+
+test('the score weighs distance, load, health and throughput', () => {
+    const ranked = score([
+        server(1, { activeConnections: 10, health: { successRate: 1, avgResponseTime: 20 } }),
+        server(2, { status: 'degraded', health: { successRate: 0.8, avgResponseTime: 700 } })
+    ], {
+        distances: { 1: 1000, 2: 0 },
+        samples: { 1: [100, 200, 300], 2: [400, 400, 400] }
+    });
+    const [first, second] = [1, 2].map(id => ranked.find(candidate => candidate.server.id === id));
+
+    close(first.components.distance.score, 0.5);
+    close(first.components.load.value, 0.25);
+    close(first.components.load.score, 0.75);
+    close(first.components.health.score, 1);
+    close(first.components.throughput.score, 0.5);
+    close(first.score, 0.35 * 0.5 + 0.25 * 0.75 + 0.2 * 1 + 0.2 * 0.5);
+
+    // Degraded servers keep half their health score
+    close(second.components.distance.score, 1);
+    close(second.components.health.score, 0.4);
+    close(second.components.throughput.score, 1);
+    close(second.score, 0.35 * 1 + 0.25 * 1 + 0.2 * 0.4 + 0.2 * 1);
+});
+
+test('throughput is compared only between servers with enough samples', () => {
+    const single = score([server(1), server(2)], { samples: { 1: [100, 200, 300], 2: [500, 500] } });
+    assert.strictEqual(single[0].components.throughput.score, 0.5);
+    assert.strictEqual(single[1].components.throughput.score, 0.5);
+    assert.deepStrictEqual(single.map(candidate => candidate.components.throughput.value).sort(), [200, null]);
+});
+
+test('candidates are ranked best first with overloaded servers last', () => {
+    const overloadedConnections = OVERLOAD_UTILIZATION * 1000 / MBPS_PER_CONNECTION;
+    const ranked = score([
+        server('far', { activeConnections: 0 }),
+        server('busy', { activeConnections: overloadedConnections }),
+        server('near', { activeConnections: overloadedConnections - 1 })
+    ], {
+        distances: { far: 5000, busy: 0, near: 10 }
+    });
+
+    assert.deepStrictEqual(ranked.map(candidate => candidate.server.id), ['near', 'far', 'busy']);
+    assert.deepStrictEqual(ranked.map(candidate => candidate.overloaded), [false, false, true]);
+
+    // Overloaded even though it would score best
+    assert.ok(ranked[2].score > ranked[1].score);
+    close(ranked[2].components.load.value, OVERLOAD_UTILIZATION);
+});
+
+test('clientRegion groups clients by country and region', () => {
+    assert.strictEqual(clientRegion({ country: 'DE', region: 'HE' }), 'DE-HE');
+    assert.strictEqual(clientRegion({ country: 'DE' }), 'DE');
+    assert.strictEqual(clientRegion(null), null);
+});
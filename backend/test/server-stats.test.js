@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { percentile, summarizeSamples, bucketSamples, parseStatsQuery } = require('../server-stats');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+test('percentile interpolates between the closest ranks', () => {
+    const sorted = [10, 20, 30, 40, 50];
+
+    close(percentile(sorted, 10), 14);
+    close(percentile(sorted, 50), 30);
+    close(percentile(sorted, 90), 46);
+    close(percentile(sorted, 99), 49.6);
+    assert.strictEqual(percentile([7], 99), 7);
+    assert.strictEqual(percentile([], 50), null);
+});
+
+test('summarizeSamples skips missing values per metric', () => {
+    const summary = summarizeSamples([
+        { t: 1000, download: 100, upload: 10, ping: 20 },
+        { t: 2000, download: 300, upload: null },
+        { t: 3000, download: 200, ping: 'fast' }
+    ]);
+
+    assert.strictEqual(summary.totalTests, 3);
+    assert.strictEqual(summary.avgDownload, 200);
+    assert.strictEqual(summary.avgUpload, 10);
+    assert.strictEqual(summary.avgPing, 20);
+    const { p10, p50, p90, p99 } = summary.percentiles.download;
+    [[p10, 120], [p50, 200], [p90, 280], [p99, 298]].forEach(([actual, expected]) => close(actual, expected));
+    assert.strictEqual(summary.lastUpdated, new Date(3000).toISOString());
+
+    const empty = summarizeSamples([]);
+    assert.strictEqual(empty.avgDownload, 0);
+    assert.strictEqual(empty.percentiles.ping.p50, null);
+    assert.strictEqual(empty.lastUpdated, null);
+});
+
+test('bucketSamples covers [from, to) with the last bucket cut at to', () => {
+    const samples = [-1, 0, 99, 100, 249, 250].map(t => ({ t, download: t }));
+    const buckets = bucketSamples(samples, 0, 250, 100);
+
+    assert.deepStrictEqual(buckets.map(bucket => [bucket.start, bucket.end]), [
+        [new Date(0).toISOString(), new Date(100).toISOString()],
+        [new Date(100).toISOString(), new Date(200).toISOString()],
+        [new Date(200).toISOString(), new Date(250).toISOString()]
+    ]);
+    assert.deepStrictEqual(buckets.map(bucket => bucket.totalTests), [2, 1, 1]);
+    assert.deepStrictEqual(buckets.map(bucket => bucket.avgDownload), [49.5, 100, 249]);
+    assert.ok(!('lastUpdated' in buckets[0]));
+});
+
+test('parseStatsQuery parses times, server and bucket', () => {
+    const query = parseStatsQuery({ from: '2024-01-01T00:00:00Z', to: '1704074400000', serverId: 3, bucket: '15m' });
+
+    assert.deepStrictEqual(query, {
+        from: Date.parse('2024-01-01T00:00:00Z'),
+        to: 1704074400000,
+        serverId: '3',
+        bucket: 15 * 60 * 1000,
+        errors: []
+    });
+    assert.deepStrictEqual(parseStatsQuery({}), { errors: [] });
+});
+
+test('parseStatsQuery gives bucketed series the last 24 hours by default', () => {
+    const before = Date.now();
+    const query = parseStatsQuery({ bucket: '1h' });
+
+    assert.ok(query.to >= before && query.to <= Date.now());
+    assert.strictEqual(query.to - query.from, 24 * 60 * 60 * 1000);
+    assert.deepStrictEqual(query.errors, []);
+});
+
+test('parseStatsQuery rejects bad times, buckets and ranges', () => {
+    const fields = query => parseStatsQuery(query).errors.map(error => error.field);
+
+    assert.deepStrictEqual(fields({ from: 'yesterday', to: '2024-13-45' }), ['from', 'to']);
+    assert.deepStrictEqual(fields({ from: '2000', to: '1000' }), ['from']);
+    assert.deepStrictEqual(fields({ bucket: '0h' }), ['bucket']);
+    assert.deepStrictEqual(fields({ bucket: '15s' }), ['bucket']);
+    assert.deepStrictEqual(fields({ bucket: '1h', from: 'later' }), ['from']);
+});
+
+test('parseStatsQuery allows at most 1000 buckets', () => {
+    const from = Date.parse('2024-01-01T00:00:00Z');
+    const minute = 60 * 1000;
+
+    assert.deepStrictEqual(parseStatsQuery({ from: String(from), to: String(from + 1000 * minute), bucket: '1m' }).errors, []);
+
+    const [error] = parseStatsQuery({ from: String(from), to: String(from + 1001 * minute), bucket: '1m' }).errors;
+    assert.deepStrictEqual(error, { field: 'bucket', message: 'range would produce more than 1000 buckets' });
+});
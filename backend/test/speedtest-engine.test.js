@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SpeedTestEngine = require('../speedtest-engine');
+const { verifyReceipt } = require('../receipts');
+const { freePort } = require('./helpers/processes');
+const { createEngine, startQuickTestServer } = require('./helpers/engine');
+
+test('summarizeLatency reports median, spread and jitter', () => {
+    assert.deepStrictEqual(SpeedTestEngine.summarizeLatency([10, 30, 20, 40]), {
+        min: 10,
+        max: 40,
+        median: 25,
+        mean: 25,
+        jitter: 50 / 3,
+        samples: 4
+    });
+});
+
+test('gradeBufferbloat grades latency increase under load', () => {
+    assert.deepStrictEqual([0, 10, 45, 100, 300, 500].map(SpeedTestEngine.gradeBufferbloat), ['A+', 'A', 'B', 'C', 'D', 'F']);
+});
+
+test('probeServerLatency marks servers that do not answer as unreachable', async () => {
+    const port = await freePort();
+    const probe = await SpeedTestEngine.probeServerLatency({ host: '127.0.0.1', port }, { timeout: 500 });
+
+    assert.strictEqual(probe.reachable, false);
+    assert.strictEqual(probe.latency, null);
+});
+
+test('speed test engine under Node', async (t) => {
+    const server = await startQuickTestServer();
+    const target = { id: '1', name: 'Local', host: '127.0.0.1', port: server.port };
+
+    try {
+        await t.test('probeServerLatency measures a reachable server', async () => {
+            const probe = await SpeedTestEngine.probeServerLatency(target, { samples: 3 });
+
+            assert.strictEqual(probe.reachable, true);
+            assert.strictEqual(probe.samples, 3);
+            assert.ok(probe.latency >= 0);
+        });
+
+        await t.test('runs every phase and collects receipts', async () => {
+            const engine = createEngine();
+            const events = [];
+            let samples = 0;
+
+            engine.on('session', () => events.push('session'));
+            engine.on('phase-start', ({ phase }) => events.push(`start:${phase}`));
+            engine.on('phase-end', ({ phase }) => events.push(`end:${phase}`));
+            engine.on('sample', () => samples++);
+
+            const result = await engine.run(target);
+
+            assert.deepStrictEqual(events, ['session', ...SpeedTestEngine.PHASES.flatMap(phase => [`start:${phase}`, `end:${phase}`])]);
+            assert.ok(samples > 0);
+            assert.strictEqual(result.status, 'complete');
+            assert.match(result.id, /^TEST_/);
+            assert.strictEqual(result.results.latency.transport, 'websocket');
+            assert.strictEqual(result.results.packetLossDetail.sent, 20);
+            assert.ok(result.results.download > 0);
+            assert.ok(result.results.upload > 0);
+            assert.strictEqual(result.results.plan.source, 'server');
+
+            for (const direction of ['download', 'upload']) {
+                const receipt = result.receipts[direction];
+                assert.strictEqual(verifyReceipt(receipt), true);
+                assert.strictEqual(receipt.sessionId, result.id);
+                assert.strictEqual(receipt.direction, direction);
+                assert.ok(result.results.serverObserved[direction].bytes > 0);
+            }
+
+            // Uploads cut off at the end of the test still count what was sent
+            const uploaded = result.results.uploadDetail.totalBytes;
+            const received = result.results.serverObserved.upload.totalBytes;
+            assert.ok(Math.abs(uploaded - received) <= received * 0.05, `client ${uploaded} vs server ${received} bytes`);
+        });
+
+        await t.test('runs only the requested phases and honours the stream limit', async () => {
+            const engine = createEngine({
+                phases: ['ping', 'download'],
+                config: { streamLimit: 1 }
+            });
+            const phases = [];
+            engine.on('phase-start', ({ phase }) => phases.push(phase));
+
+            const result = await engine.run(target);
+
+            assert.deepStrictEqual(phases, ['ping', 'download']);
+            assert.strictEqual(result.results.plan.download.maxStreams, 1);
+            assert.strictEqual(result.results.downloadDetail.streams, 1);
+            assert.strictEqual(result.results.upload, 0);
+            assert.strictEqual(result.receipts.upload, undefined);
+        });
+
+        await t.test('abort rejects with the partial result and releases the server session', async () => {
+            const engine = createEngine();
+            engine.on('phase-start', ({ phase }) => {
+                if (phase === 'download') setTimeout(() => engine.abort(), 200);
+            });
+
+            const error = await engine.run(target).then(() => null, error => error);
+
+            assert.strictEqual(error.name, 'AbortError');
+            assert.strictEqual(error.result.status, 'aborted');
+            assert.strictEqual(error.result.abortedPhase, 'download');
+
+            const response = await fetch(`${server.url}/sessions/${error.result.id}`);
+            assert.strictEqual(response.status, 404);
+        });
+
+        await t.test('fails when the server cannot be reached', async () => {
+            const port = await freePort();
+            const engine = createEngine();
+
+            await assert.rejects(engine.run({ ...target, port }), /Ping test failed/);
+            assert.strictEqual(engine.running, false);
+        });
+    } finally {
+        await server.stop();
+    }
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStore } = require('../stores');
+const FakeRedisClient = require('./helpers/fake-redis');
+
+const BASE_TIME = Date.parse('2024-01-01T00:00:00Z');
+
+function result(index, extra = {}) {
+    return {
+        id: `result-${index}`,
+        timestamp: new Date(BASE_TIME + index * 60 * 1000).toISOString(),
+        ...extra
+    };
+}
+
+const backends = {
+    memory: (options = {}) => createStore({ type: 'memory', ...options }),
+    redis: (options = {}) => createStore({ type: 'redis', client: new FakeRedisClient(), ...options })
+};
+
+for (const [name, create] of Object.entries(backends)) {
+    test(`${name} store`, async (t) => {
+        await t.test('saves and reads results', async () => {
+            const store = create();
+            await store.connect();
+            await store.saveResult(result(1, { download: 100 }));
+
+            assert.deepStrictEqual(await store.getResult('result-1'), result(1, { download: 100 }));
+            assert.strictEqual(await store.getResult('missing'), null);
+            await store.close();
+        });
+
+        await t.test('lists results newest first within a range', async () => {
+            const store = create();
+            for (let i = 0; i < 5; i++) await store.saveResult(result(i));
+
+            const all = await store.listResults();
+            assert.deepStrictEqual(all.map(r => r.id), ['result-4', 'result-3', 'result-2', 'result-1', 'result-0']);
+
+            const ranged = await store.listResults({
+                from: BASE_TIME + 60 * 1000,
+                to: BASE_TIME + 3 * 60 * 1000
+            });
+            assert.deepStrictEqual(ranged.map(r => r.id), ['result-3', 'result-2', 'result-1']);
+        });
+
+        await t.test('pages results in timestamp order', async () => {
+            const store = create();
+            for (let i = 0; i < 5; i++) await store.saveResult(result(i));
+
+            const newest = await store.listResultsPage({ offset: 1, limit: 2 });
+            assert.deepStrictEqual(newest.results.map(r => r.id), ['result-3', 'result-2']);
+            assert.strictEqual(newest.total, 5);
+
+            const oldest = await store.listResultsPage({ order: 'asc', offset: 0, limit: 2, from: BASE_TIME + 60 * 1000 });
+            assert.deepStrictEqual(oldest.results.map(r => r.id), ['result-1', 'result-2']);
+            assert.strictEqual(oldest.total, 4);
+
+            const past = await store.listResultsPage({ offset: 10, limit: 2 });
+            assert.deepStrictEqual(past, { results: [], total: 5 });
+        });
+
+        await t.test('evicts the oldest results beyond maxResults', async () => {
+            const store = create({ maxResults: 3 });
+            for (let i = 0; i < 5; i++) await store.saveResult(result(i));
+
+            assert.deepStrictEqual((await store.listResults()).map(r => r.id), ['result-4', 'result-3', 'result-2']);
+            assert.strictEqual(await store.getResult('result-0'), null);
+            assert.strictEqual(await store.getResult('result-1'), null);
+        });
+
+        await t.test('hides expired results', async () => {
+            const store = create({ resultTtl: 1 });
+            const now = Date.now();
+            await store.saveResult({ id: 'fresh', timestamp: new Date(now).toISOString() });
+
+            const realNow = Date.now;
+            Date.now = () => now + 2000;
+            try {
+                assert.strictEqual(await store.getResult('fresh'), null);
+                assert.deepStrictEqual(await store.listResults(), []);
+            } finally {
+                Date.now = realNow;
+            }
+        });
+
+        await t.test('saves and reads sessions', async () => {
+            const store = create();
+            await store.saveSession({ id: 'session-1', state: 'created' });
+            await store.saveSession({ id: 'session-1', state: 'running' });
+
+            assert.deepStrictEqual(await store.getSession('session-1'), { id: 'session-1', state: 'running' });
+            assert.strictEqual(await store.getSession('missing'), null);
+        });
+
+        await t.test('claims each receipt signature once', async () => {
+            const store = create();
+
+            assert.strictEqual(await store.claimReceipt('abc', 60), true);
+            assert.strictEqual(await store.claimReceipt('abc', 60), false);
+            assert.strictEqual(await store.claimReceipt('def', 60), true);
+        });
+
+        await t.test('updates alerts in place and caps them', async () => {
+            const store = create({ maxResults: 2 });
+            for (let i = 0; i < 3; i++) await store.saveAlert(result(i, { delivery: { status: 'pending' } }));
+            await store.saveAlert(result(2, { delivery: { status: 'delivered' } }));
+
+            const alerts = await store.listAlerts();
+            assert.deepStrictEqual(alerts.map(a => a.id), ['result-2', 'result-1']);
+            assert.strictEqual(alerts[0].delivery.status, 'delivered');
+        });
+
+        await t.test('keeps server samples in time order, capped per server', async () => {
+            const store = create({ maxResults: 3 });
+            for (const t of [5, 1, 4, 2, 3]) {
+                await store.addServerSample(7, { id: `sample-${t}`, t, download: t * 10 });
+            }
+            await store.addServerSample(8, { id: 'other', t: 1, download: 1 });
+
+            assert.deepStrictEqual((await store.listServerSamples(7)).map(s => s.t), [3, 4, 5]);
+            assert.deepStrictEqual((await store.listServerSamples('7', { from: 4 })).map(s => s.t), [4, 5]);
+            assert.strictEqual((await store.listServerSamples(8)).length, 1);
+        });
+    });
+}
+
+test('createStore rejects unknown store types', () => {
+    assert.throws(() => createStore({ type: 'sqlite' }), /Unknown store type: sqlite/);
+});
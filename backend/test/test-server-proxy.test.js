@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { io } = require('socket.io-client');
+const SpeedTestEngine = require('../speedtest-engine');
+const { verifyReceipt } = require('../receipts');
+const { startApiServer, registerServer } = require('./helpers/processes');
+const { createEngine, startTestStack } = require('./helpers/engine');
+
+// Open the latency channel through the proxy the way the engine does
+function connectThroughProxy(api, serverId) {
+    return new Promise((resolve, reject) => {
+        const socket = io(api.url, {
+            path: '/test-server/socket.io',
+            query: { serverId },
+            transports: ['websocket'],
+            reconnection: false,
+            timeout: 2000
+        });
+        socket.once('connect', () => resolve(socket));
+        socket.once('connect_error', (error) => {
+            socket.close();
+            reject(error);
+        });
+    });
+}
+
+test('/test-server proxy', async (t) => {
+    const stack = await startTestStack();
+    const { testServer, api } = stack;
+
+    try {
+        await t.test('runs the engine through the API in proxy mode', async () => {
+            const engine = createEngine({ apiBase: api.url, proxy: true });
+            const result = await engine.run({ id: 1, name: 'Primary Server', host: 'localhost', port: testServer.port });
+
+            assert.strictEqual(result.results.latency.transport, 'websocket');
+            assert.strictEqual(result.results.packetLossDetail.sent, 20);
+            assert.strictEqual(result.results.plan.source, 'server');
+            assert.strictEqual(verifyReceipt(result.receipts.download), true);
+            assert.strictEqual(verifyReceipt(result.receipts.upload), true);
+        });
+
+        await t.test('serves the engine script to pages', async () => {
+            const response = await fetch(`${api.url}/speedtest-engine.js`);
+
+            assert.strictEqual(response.status, 200);
+            assert.match(await response.text(), /root\.SpeedTestEngine = factory\(\)/);
+        });
+
+        await t.test('probes server latency through the proxy', async () => {
+            const probe = await SpeedTestEngine.probeServerLatency({ id: 1 }, { proxy: true, apiBase: api.url, samples: 2 });
+
+            assert.strictEqual(probe.reachable, true);
+        });
+
+        await t.test('routes to servers registered with the token', async () => {
+            const response = await registerServer(api, { id: 'fleet-1', port: testServer.port });
+            assert.strictEqual(response.status, 201);
+
+            const ping = await fetch(`${api.url}/test-server/ping?serverId=fleet-1`);
+            assert.strictEqual(await ping.text(), 'pong');
+
+            const socket = await connectThroughProxy(api, 'fleet-1');
+            socket.close();
+        });
+
+        await t.test('rejects unknown servers', async () => {
+            const response = await fetch(`${api.url}/test-server/ping?serverId=missing`);
+            assert.strictEqual(response.status, 404);
+
+            await assert.rejects(connectThroughProxy(api, 'missing'));
+        });
+    } finally {
+        await stack.stop();
+    }
+});
+
+test('/test-server does not proxy to servers registered without a token', async () => {
+    const api = await startApiServer({ NODE_ENV: 'development', REGISTRY_TOKEN: '', REGISTRY_ALLOWED_HOSTS: '127.0.0.1' });
+
+    try {
+        // Without a token, development registration is open; the API itself is the target
+        const response = await registerServer(api, { id: 'self', port: api.port }, '');
+        assert.strictEqual(response.status, 201);
+
+        const proxied = await fetch(`${api.url}/test-server/api/alerts/rules?serverId=self`);
+        assert.strictEqual(proxied.status, 403);
+
+        await assert.rejects(connectThroughProxy(api, 'self'));
+    } finally {
+        await api.stop();
+    }
+});
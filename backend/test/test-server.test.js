@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { verifyReceipt } = require('../receipts');
+const { mergeSnapshots, summarizeTransfers } = require('../test-server-routes');
+const { startTestServer } = require('./helpers/processes');
+
+test('mergeSnapshots adds up the shares of a session kept by several workers', () => {
+    const connection = (startTime, endTime, bytes) => ({ bytes, startTime, endTime, samples: [] });
+    const merged = mergeSnapshots([
+        {
+            download: {
+                bytes: 3000, count: 2, startTime: 1000, endTime: 4000, warmup: 0,
+                timeline: { start: 10, counts: [2000, 0, 0, 0, 0, 1000] },
+                connections: [connection(1000, 4000, 2000), connection(1500, 3000, 1000)]
+            }
+        },
+        null,
+        {
+            download: {
+                bytes: 1000, count: 1, startTime: 1200, endTime: 5000, warmup: 0,
+                timeline: { start: 12, counts: [1000] },
+                connections: [connection(1200, 5000, 1000)]
+            },
+            upload: {
+                bytes: 500, count: 1, startTime: 6000, endTime: 7000, warmup: 0,
+                timeline: { start: 60, counts: [500] },
+                connections: [connection(6000, 7000, 500)]
+            }
+        }
+    ]);
+
+    assert.deepStrictEqual(merged.download.timeline, { start: 10, counts: [2000, 0, 1000, 0, 0, 1000] });
+
+    const download = summarizeTransfers(merged, 'download');
+    assert.strictEqual(download.bytes, 4000);
+    assert.strictEqual(download.duration, 4000);
+    assert.strictEqual(download.connectionCount, 3);
+    assert.deepStrictEqual(download.connections.map(c => c.bytes), [2000, 1000, 1000]);
+    assert.strictEqual(summarizeTransfers(merged, 'upload').bytes, 500);
+
+    assert.strictEqual(mergeSnapshots([null, null]), null);
+});
+
+test('summarizeTransfers measures the window after the planned warm-up', () => {
+    const snapshot = warmup => ({
+        download: {
+            bytes: 5000, count: 1, startTime: 1000, endTime: 3000, warmup: warmup,
+            timeline: { start: 10, counts: new Array(20).fill(250) },
+            connections: []
+        }
+    });
+
+    const download = summarizeTransfers(snapshot(500), 'download');
+    assert.strictEqual(download.bytes, 3750);
+    assert.strictEqual(download.duration, 1500);
+    assert.strictEqual(download.speedMbps, 0.02);
+    assert.strictEqual(download.totalBytes, 5000);
+    assert.strictEqual(download.totalDuration, 2000);
+
+    // A run no longer than its warm-up is measured whole
+    const short = summarizeTransfers(snapshot(2000), 'download');
+    assert.strictEqual(short.bytes, 5000);
+    assert.strictEqual(short.duration, 2000);
+    assert.strictEqual(short.warmup, 0);
+});
+
+test('test server endpoints', async (t) => {
+    const server = await startTestServer();
+
+    try {
+        await t.test('/ping answers with an uncached pong', async () => {
+            const response = await fetch(`${server.url}/ping`);
+
+            assert.strictEqual(await response.text(), 'pong');
+            assert.match(response.headers.get('cache-control'), /no-store/);
+        });
+
+        await t.test('/download sends the requested number of bytes', async () => {
+            const response = await fetch(`${server.url}/download?size=100000`);
+            const body = await response.arrayBuffer();
+
+            assert.strictEqual(body.byteLength, 100000);
+        });
+
+        await t.test('/upload reports the bytes it received', async () => {
+            const response = await fetch(`${server.url}/upload`, { method: 'POST', body: Buffer.alloc(50000) });
+            const data = await response.json();
+
+            assert.strictEqual(data.bytesReceived, 50000);
+            assert.strictEqual(data.receipt, null);
+        });
+
+        await t.test('/download-multi hands out a test plan within the configured bounds', async () => {
+            const data = await (await fetch(`${server.url}/download-multi?duration=60000`)).json();
+
+            assert.strictEqual(data.plan.download.duration, 30000);
+            assert.strictEqual(data.plan.upload.direction, 'upload');
+            assert.ok(data.plan.download.minStreams <= data.plan.download.maxStreams);
+        });
+
+        await t.test('sessions total every connection per direction and sign receipts', async () => {
+            const session = `session-${Date.now()}`;
+
+            // More connections than are kept in per-connection detail
+            for (let i = 0; i < 300; i++) {
+                await (await fetch(`${server.url}/download?size=1000&session=${session}`)).arrayBuffer();
+            }
+            for (let i = 0; i < 3; i++) {
+                await (await fetch(`${server.url}/upload?session=${session}`, { method: 'POST', body: Buffer.alloc(2000) })).json();
+            }
+
+            const data = await (await fetch(`${server.url}/sessions/${session}`)).json();
+            assert.strictEqual(data.session.download.bytes, 300000);
+            assert.strictEqual(data.session.download.connectionCount, 300);
+            assert.strictEqual(data.session.download.connections.length, 256);
+            assert.strictEqual(data.session.upload.bytes, 6000);
+
+            const { receipt } = await (await fetch(`${server.url}/receipt?session=${session}&direction=download`)).json();
+            assert.strictEqual(verifyReceipt(receipt), true);
+            assert.strictEqual(receipt.bytes, 300000);
+            assert.strictEqual(receipt.connections, 300);
+        });
+
+        await t.test('released sessions are no longer receipted', async () => {
+            const session = `released-${Date.now()}`;
+            await (await fetch(`${server.url}/download?size=1000&session=${session}`)).arrayBuffer();
+
+            const released = await (await fetch(`${server.url}/sessions/${session}`, { method: 'DELETE' })).json();
+            assert.strictEqual(released.released, true);
+
+            const response = await fetch(`${server.url}/receipt?session=${session}&direction=download`);
+            assert.strictEqual(response.status, 404);
+        });
+
+        await t.test('/receipt rejects requests without a valid session', async () => {
+            const response = await fetch(`${server.url}/receipt?direction=sideways`);
+            assert.strictEqual(response.status, 400);
+        });
+    } finally {
+        await server.stop();
+    }
+});
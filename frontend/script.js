@@ -1,13 +1,13 @@
 class SpeedTest {
     constructor() {
         this.config = {
-            downloadSize: 50 * 1024 * 1024, // 50MB
-            uploadSize: 25 * 1024 * 1024,   // 25MB
+            downloadSize: 50 * 1024 * 1024, // 50MB, largest single download request
+            uploadSize: 25 * 1024 * 1024,   // 25MB, largest single upload request
             testDuration: 10000,            // 10 seconds per test
-            pingCount: 10,
             testServers: [],
             selectedServer: null,
             isTesting: false,
+            schedule: null,                 // { enabled, interval (min), quietStart, quietEnd, dailyCap (MB) }
             testResults: {
                 ping: 0,
                 jitter: 0,
@@ -18,19 +18,26 @@ class SpeedTest {
         };
 
         this.currentTest = null;
-        this.testStartTime = null;
-        this.loadedBytes = 0;
-        this.uploadedBytes = 0;
-        this.pingTimes = [];
+        // Test servers speak plain HTTP, which an HTTPS page may not call directly
+        this.useProxy = location.protocol === 'https:';
+        this.engine = this.createEngine();
+        this.testResults = null;
+        this.chartFrame = null;
+        this.scheduleTimer = null;
         
         this.init();
     }
 
     async init() {
         this.bindEvents();
+        this.renderChart();
         await this.loadServers();
         await this.detectUserInfo();
         this.setupServiceWorker();
+        
+        const settings = JSON.parse(localStorage.getItem('speedtest_settings') || '{}');
+        this.config.schedule = settings.schedule || null;
+        this.startScheduler();
     }
 
     bindEvents() {
@@ -87,6 +94,11 @@ class SpeedTest {
         document.getElementById('settingsBtn').addEventListener('click', () => {
             this.showSettings();
         });
+
+        // Redraw the throughput chart at the new canvas size
+        window.addEventListener('resize', () => {
+            this.renderChart();
+        });
     }
 
     async loadServers() {
@@ -105,9 +117,9 @@ class SpeedTest {
                 latency: 0
             }));
 
-            // Auto-select best server
-            await this.selectBestServer();
+            // Show the list right away; latencies fill in as the probes finish
             this.renderServerList();
+            await this.selectBestServer();
         } catch (error) {
             console.error('Failed to load servers:', error);
             this.loadDefaultServers();
@@ -161,50 +173,26 @@ class SpeedTest {
     async selectBestServer() {
         if (this.config.testServers.length === 0) return;
 
-        let bestServer = null;
-        let bestLatency = Infinity;
+        // Probe every server at once, several samples each, and rank by the median
+        await Promise.all(this.config.testServers.map(async (server) => {
+            const probe = await SpeedTestEngine.probeServerLatency(server, { proxy: this.useProxy });
 
-        // Test latency to each server
-        for (const server of this.config.testServers.slice(0, 5)) {
-            try {
-                const latency = await this.testLatency(server.host, server.port);
-                server.latency = latency;
-                
-                if (latency < bestLatency) {
-                    bestLatency = latency;
-                    bestServer = server;
-                }
-            } catch (error) {
-                console.warn(`Failed to ping ${server.name}:`, error);
+            server.reachable = probe.reachable;
+            server.latency = probe.latency;
+            server.latencyProbe = probe;
+
+            if (!probe.reachable) {
+                console.warn(`Failed to ping ${server.name}: ${probe.error}`);
             }
-        }
+        }));
 
-        this.config.selectedServer = bestServer || this.config.testServers[0];
-        this.updateServerDisplay();
-    }
+        const ranked = this.config.testServers
+            .filter(server => server.reachable)
+            .sort((a, b) => a.latency - b.latency);
 
-    async testLatency(host, port) {
-        return new Promise((resolve, reject) => {
-            const startTime = performance.now();
-            const img = new Image();
-            
-            img.onload = () => {
-                const latency = performance.now() - startTime;
-                resolve(latency);
-            };
-            
-            img.onerror = () => {
-                const latency = performance.now() - startTime;
-                resolve(latency);
-            };
-            
-            // Use a cache-busting parameter
-            img.src = `http://${host}:${port}/ping?t=${Date.now()}`;
-            
-            setTimeout(() => {
-                reject(new Error('Timeout'));
-            }, 5000);
-        });
+        this.config.selectedServer = ranked[0] || this.config.testServers[0];
+        this.updateServerDisplay();
+        this.renderServerList();
     }
 
     updateServerDisplay() {
@@ -225,28 +213,34 @@ class SpeedTest {
 
         this.config.testServers.forEach(server => {
             const serverElement = document.createElement('div');
-            serverElement.className = 'server-item';
+            serverElement.className = server.reachable === false ? 'server-item server-item-unreachable' : 'server-item';
             serverElement.innerHTML = `
                 <div class="server-item-main">
                     <div class="server-item-icon">
                         <i class="fas fa-server"></i>
                     </div>
                     <div class="server-item-info">
-                        <div class="server-item-name">${server.name}</div>
-                        <div class="server-item-location">${server.location}</div>
+                        <div class="server-item-name"></div>
+                        <div class="server-item-location"></div>
                     </div>
                 </div>
                 <div class="server-item-stats">
-                    <span class="server-item-latency">${server.latency ? Math.round(server.latency) + ' ms' : 'Testing...'}</span>
-                    <span class="server-item-distance">${server.distance ? Math.round(server.distance) + ' km' : ''}</span>
+                    <span class="server-item-latency"></span>
+                    <span class="server-item-distance"></span>
                 </div>
-                <button class="server-item-select" data-server-id="${server.id}">
-                    ${server.id === this.config.selectedServer?.id ? 'Selected' : 'Select'}
-                </button>
+                <button class="server-item-select"></button>
             `;
 
+            // Registered servers supply their own names, so fill them in as text rather than markup
+            serverElement.querySelector('.server-item-name').textContent = server.name;
+            serverElement.querySelector('.server-item-location').textContent = server.location;
+            serverElement.querySelector('.server-item-latency').textContent = this.formatServerLatency(server);
+            serverElement.querySelector('.server-item-distance').textContent = server.distance ? Math.round(server.distance) + ' km' : '';
+
             // Add click handler
             const selectBtn = serverElement.querySelector('.server-item-select');
+            selectBtn.dataset.serverId = server.id;
+            selectBtn.textContent = server.id === this.config.selectedServer?.id ? 'Selected' : 'Select';
             selectBtn.addEventListener('click', () => {
                 this.selectServer(server.id);
                 this.hideServerModal();
@@ -256,6 +250,16 @@ class SpeedTest {
         });
     }
 
+    formatServerLatency(server) {
+        if (server.reachable === false) return 'Unreachable';
+        if (!server.latency) return 'Testing...';
+
+        const probe = server.latencyProbe;
+        return probe && probe.lost > 0
+            ? `${Math.round(server.latency)} ms (${probe.lost}/${probe.samples + probe.lost} lost)`
+            : `${Math.round(server.latency)} ms`;
+    }
+
     selectServer(serverId) {
         const server = this.config.testServers.find(s => s.id === serverId);
         if (server) {
@@ -267,8 +271,8 @@ class SpeedTest {
 
     updateServerButtons() {
         document.querySelectorAll('.server-item-select').forEach(btn => {
-            const serverId = parseInt(btn.dataset.serverId);
-            if (serverId === this.config.selectedServer.id) {
+            // Ids are strings for registered servers, and data attributes are always strings
+            if (btn.dataset.serverId === String(this.config.selectedServer.id)) {
                 btn.textContent = 'Selected';
                 btn.disabled = true;
                 btn.style.opacity = '0.7';
@@ -308,7 +312,7 @@ class SpeedTest {
         document.getElementById('serverModal').classList.remove('show');
     }
 
-    async startTest() {
+    async startTest(options = {}) {
         if (this.config.isTesting) {
             this.stopTest();
             return;
@@ -318,36 +322,138 @@ class SpeedTest {
         this.resetTest();
         this.updateTestButton(true);
 
-        try {
-            // Generate test ID
-            const testId = 'TEST_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-            document.getElementById('testId').textContent = testId;
-            document.getElementById('testTimestamp').textContent = new Date().toLocaleString();
+        // User settings override the engine defaults
+        Object.assign(this.engine.config, {
+            downloadSize: this.config.downloadSize,
+            uploadSize: this.config.uploadSize,
+            testDuration: this.config.testDuration
+        });
+        this.currentTest = this.engine;
 
-            // Run tests in sequence
-            await this.runPingTest();
-            await this.runDownloadTest();
-            await this.runUploadTest();
-            await this.calculateJitter();
+        try {
+            const result = await this.engine.run(this.config.selectedServer);
+            result.trigger = options.scheduled ? 'scheduled' : 'manual';
             
-            this.saveResults(testId);
+            this.saveResults(result);
             this.showCompletion();
         } catch (error) {
-            console.error('Test failed:', error);
-            this.showError(error.message);
+            if (error.name === 'AbortError') {
+                // Keep the partial run in history, flagged as aborted
+                error.result.trigger = options.scheduled ? 'scheduled' : 'manual';
+                this.saveResults(error.result);
+                this.showStopped();
+            } else {
+                console.error('Test failed:', error);
+                this.showError(error.message);
+            }
         } finally {
+            this.currentTest = null;
             this.config.isTesting = false;
             this.updateTestButton(false);
         }
     }
 
-    stopTest() {
-        if (this.currentTest) {
-            this.currentTest.abort();
+    // The engine does the measuring; the page only renders what it reports
+    createEngine() {
+        const engine = new SpeedTestEngine({ proxy: this.useProxy });
+        
+        engine.on('session', ({ id }) => {
+            this.testResults = engine.results;
+            document.getElementById('testId').textContent = id;
+            document.getElementById('testTimestamp').textContent = new Date().toLocaleString();
+        });
+        engine.on('phase-start', ({ phase }) => this.onPhaseStart(phase));
+        engine.on('sample', sample => this.onSample(sample));
+        engine.on('phase-end', ({ phase }) => this.onPhaseEnd(phase));
+        
+        return engine;
+    }
+
+    onPhaseStart(phase) {
+        switch (phase) {
+            case 'ping':
+                this.updateProgress('Testing ping...', 10);
+                break;
+            case 'packetLoss':
+                this.updateProgress('Testing packet loss...', 30);
+                return;
+            case 'download':
+                this.updateProgress('Testing download speed...', 30);
+                break;
+            case 'upload':
+                this.updateProgress('Testing upload speed...', 80);
+                break;
+            default:
+                return;
+        }
+        
+        document.getElementById(`${phase}Status`).textContent = 'Testing...';
+        document.getElementById(`${phase}Status`).classList.add('pulse');
+    }
+
+    onSample(sample) {
+        this.renderChart();
+        
+        if (sample.type === 'latency') {
+            // Latency under load only feeds the chart
+            if (sample.phase !== 'ping') return;
+            
+            this.updateGauge('pingGauge', sample.latency, 'ms');
+            this.updateProgress(
+                `Testing ping... (${sample.index + 1}/${sample.count})`,
+                10 + (sample.index / sample.count) * 20
+            );
+            return;
         }
-        this.config.isTesting = false;
-        this.updateTestButton(false);
-        this.updateProgress('Test stopped', 0);
+        
+        this.updateGauge(`${sample.phase}Gauge`, sample.speedMbps, 'Mbps');
+        
+        if (sample.phase === 'download') {
+            this.updateProgress(`Downloading... ${this.formatBytes(sample.bytes)}`, 30 + sample.progress * 50);
+        } else {
+            this.updateProgress(`Uploading... ${this.formatBytes(sample.bytes)}`, 80 + sample.progress * 15);
+        }
+    }
+
+    onPhaseEnd(phase) {
+        const results = this.testResults;
+        
+        switch (phase) {
+            case 'ping':
+                this.updateGauge('pingGauge', results.latency.median, 'ms');
+                document.getElementById('pingDetail').textContent =
+                    `min ${results.latency.min.toFixed(1)} · max ${results.latency.max.toFixed(1)} ms`;
+                break;
+            case 'packetLoss':
+                document.getElementById('packetLossValue').textContent =
+                    results.packetLoss === null ? 'N/A' : `${results.packetLoss.toFixed(2)}%`;
+                return;
+            case 'download':
+            case 'upload':
+                this.updateGauge(`${phase}Gauge`, results[phase], 'Mbps');
+                this.renderGaugeDetail(phase);
+                if (results.loadedLatency) {
+                    document.getElementById('bufferbloatGrade').textContent = results.loadedLatency.grade;
+                }
+                break;
+            case 'verify':
+                this.renderGaugeDetail('download');
+                this.renderGaugeDetail('upload');
+                document.getElementById('jitterValue').textContent = `${results.jitter.toFixed(1)} ms`;
+                document.getElementById('signalQuality').textContent = this.estimateSignalQuality();
+                return;
+        }
+        
+        document.getElementById(`${phase}Status`).textContent = 'Complete';
+        document.getElementById(`${phase}Status`).classList.remove('pulse');
+    }
+
+    // startTest finishes the teardown once the engine has stopped every phase
+    stopTest() {
+        if (!this.currentTest) return;
+        
+        this.currentTest.abort();
+        this.updateProgress('Stopping test...', 0);
     }
 
     resetTest() {
@@ -356,12 +462,10 @@ class SpeedTest {
             jitter: 0,
             download: 0,
             upload: 0,
-            packetLoss: 0
+            packetLoss: 0,
+            series: { download: [], upload: [], latency: [] }
         };
-        
-        this.pingTimes = [];
-        this.loadedBytes = 0;
-        this.uploadedBytes = 0;
+        this.renderChart();
         
         // Reset gauges
         this.updateGauge('pingGauge', 0, 'ms');
@@ -370,6 +474,9 @@ class SpeedTest {
         
         // Reset status
         document.getElementById('pingStatus').textContent = 'Ready';
+        document.getElementById('pingDetail').textContent = '';
+        document.getElementById('downloadDetail').textContent = '';
+        document.getElementById('uploadDetail').textContent = '';
         document.getElementById('downloadStatus').textContent = 'Ready';
         document.getElementById('uploadStatus').textContent = 'Ready';
         
@@ -377,6 +484,7 @@ class SpeedTest {
         document.getElementById('jitterValue').textContent = '0 ms';
         document.getElementById('packetLossValue').textContent = '0%';
         document.getElementById('signalQuality').textContent = '-';
+        document.getElementById('bufferbloatGrade').textContent = '-';
     }
 
     updateTestButton(testing) {
@@ -450,213 +558,115 @@ class SpeedTest {
         }
     }
 
-    async runPingTest() {
-        this.updateProgress('Testing ping...', 10);
-        document.getElementById('pingStatus').textContent = 'Testing...';
-        document.getElementById('pingStatus').classList.add('pulse');
-
-        const server = this.config.selectedServer;
-        const pings = [];
-
-        for (let i = 0; i < this.config.pingCount; i++) {
-            try {
-                const startTime = performance.now();
-                await fetch(`http://${server.host}:${server.port}/ping?t=${Date.now()}`);
-                const latency = performance.now() - startTime;
-                
-                pings.push(latency);
-                this.updateGauge('pingGauge', latency, 'ms');
-                
-                // Update progress within ping test
-                const progress = 10 + (i / this.config.pingCount) * 20;
-                this.updateProgress(`Testing ping... (${i + 1}/${this.config.pingCount})`, progress);
-                
-                // Small delay between pings
-                await new Promise(resolve => setTimeout(resolve, 200));
-            } catch (error) {
-                console.warn(`Ping ${i + 1} failed:`, error);
-            }
+    renderGaugeDetail(direction) {
+        const loaded = this.testResults.loadedLatency && this.testResults.loadedLatency[direction];
+        const observed = this.testResults.serverObserved && this.testResults.serverObserved[direction];
+        const lines = [];
+        
+        if (loaded) {
+            lines.push(`Loaded ping ${loaded.median.toFixed(0)} ms (+${loaded.increase.toFixed(0)} ms)`);
         }
-
-        if (pings.length > 0) {
-            const avgPing = pings.reduce((a, b) => a + b) / pings.length;
-            this.testResults.ping = avgPing;
-            this.pingTimes = pings;
-            this.updateGauge('pingGauge', avgPing, 'ms');
-            document.getElementById('pingStatus').textContent = 'Complete';
-            document.getElementById('pingStatus').classList.remove('pulse');
-        } else {
-            throw new Error('Ping test failed');
+        if (observed) {
+            lines.push(`Server saw ${observed.speedMbps.toFixed(1)} Mbps${observed.flagged ? ' ⚠' : ''}`);
         }
-    }
-
-    async runDownloadTest() {
-        this.updateProgress('Testing download speed...', 30);
-        document.getElementById('downloadStatus').textContent = 'Testing...';
-        document.getElementById('downloadStatus').classList.add('pulse');
-
-        const server = this.config.selectedServer;
-        const testDuration = this.config.testDuration;
-        const startTime = performance.now();
-        let totalBytes = 0;
-        
-        // Create multiple parallel connections for accurate testing
-        const connections = 4;
-        const chunkSize = this.config.downloadSize / connections;
-        
-        const downloadPromises = [];
         
-        for (let i = 0; i < connections; i++) {
-            const promise = new Promise((resolve, reject) => {
-                const xhr = new XMLHttpRequest();
-                const url = `http://${server.host}:${server.port}/download?size=${chunkSize}&t=${Date.now() + i}`;
-                
-                xhr.open('GET', url, true);
-                xhr.responseType = 'blob';
-                
-                xhr.onprogress = (event) => {
-                    if (event.lengthComputable) {
-                        totalBytes += event.loaded - (this.loadedBytes || 0);
-                        this.loadedBytes = event.loaded;
-                        
-                        const elapsed = performance.now() - startTime;
-                        if (elapsed > 0) {
-                            const speed = (totalBytes * 8) / (elapsed * 1000); // Mbps
-                            this.updateGauge('downloadGauge', speed, 'Mbps');
-                            
-                            const progress = 30 + (elapsed / testDuration) * 50;
-                            this.updateProgress(
-                                `Downloading... ${this.formatBytes(totalBytes)}`,
-                                Math.min(progress, 80)
-                            );
-                        }
-                    }
-                };
-                
-                xhr.onload = () => resolve();
-                xhr.onerror = () => reject(new Error('Download failed'));
-                
-                xhr.send();
-            });
-            
-            downloadPromises.push(promise);
-        }
-
-        // Race between completion and timeout
-        await Promise.race([
-            Promise.all(downloadPromises),
-            new Promise(resolve => setTimeout(resolve, testDuration))
-        ]);
+        document.getElementById(`${direction}Detail`).textContent = lines.join('\n');
+    }
 
-        const elapsed = performance.now() - startTime;
-        const speedMbps = (totalBytes * 8) / (elapsed * 1000);
-        
-        this.testResults.download = speedMbps;
-        this.updateGauge('downloadGauge', speedMbps, 'Mbps');
+    // Coalesce redraws of the live chart into one per animation frame
+    renderChart() {
+        if (this.chartFrame) return;
         
-        document.getElementById('downloadStatus').textContent = 'Complete';
-        document.getElementById('downloadStatus').classList.remove('pulse');
+        this.chartFrame = requestAnimationFrame(() => {
+            this.chartFrame = null;
+            this.drawChart(document.getElementById('throughputChart'), this.testResults && this.testResults.series);
+        });
     }
 
-    async runUploadTest() {
-        this.updateProgress('Testing upload speed...', 80);
-        document.getElementById('uploadStatus').textContent = 'Testing...';
-        document.getElementById('uploadStatus').classList.add('pulse');
-
-        const server = this.config.selectedServer;
-        const testDuration = this.config.testDuration;
-        const startTime = performance.now();
-        let totalBytes = 0;
-        
-        // Generate random data for upload
-        const data = new ArrayBuffer(this.config.uploadSize);
-        const view = new Uint8Array(data);
-        for (let i = 0; i < data.byteLength; i++) {
-            view[i] = Math.floor(Math.random() * 256);
+    // Draw Mbps lines for download and upload against the left axis and
+    // latency samples as dots against the right axis
+    drawChart(canvas, series) {
+        const ctx = canvas.getContext('2d');
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        
+        const styles = getComputedStyle(document.body);
+        const color = name => styles.getPropertyValue(name).trim();
+        const darkMode = document.body.classList.contains('dark-mode');
+        const textColor = darkMode ? color('--gray-400') : color('--gray-600');
+        const gridColor = darkMode ? color('--gray-700') : color('--gray-200');
+        
+        const padding = { top: 10, right: 50, bottom: 25, left: 50 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        
+        const throughput = series ? [...series.download, ...series.upload] : [];
+        const latency = series ? series.latency : [];
+        const maxTime = Math.max(1000, ...throughput.map(point => point[0]), ...latency.map(point => point[0]));
+        const maxMbps = Math.max(1, ...throughput.map(point => point[1])) * 1.1;
+        const maxLatency = Math.max(10, ...latency.map(point => point[1])) * 1.1;
+        
+        const x = time => padding.left + (time / maxTime) * plotWidth;
+        const yMbps = mbps => padding.top + plotHeight - (mbps / maxMbps) * plotHeight;
+        const yLatency = ms => padding.top + plotHeight - (ms / maxLatency) * plotHeight;
+        
+        // Grid and axis labels
+        ctx.font = '11px Poppins, sans-serif';
+        ctx.fillStyle = textColor;
+        ctx.strokeStyle = gridColor;
+        ctx.lineWidth = 1;
+        for (let i = 0; i <= 4; i++) {
+            const y = padding.top + (plotHeight * i) / 4;
+            ctx.beginPath();
+            ctx.moveTo(padding.left, y);
+            ctx.lineTo(padding.left + plotWidth, y);
+            ctx.stroke();
+            
+            ctx.textAlign = 'right';
+            ctx.fillText(`${(maxMbps * (1 - i / 4)).toFixed(0)}`, padding.left - 6, y + 4);
+            ctx.textAlign = 'left';
+            ctx.fillText(`${(maxLatency * (1 - i / 4)).toFixed(0)}`, padding.left + plotWidth + 6, y + 4);
+        }
+        ctx.textAlign = 'center';
+        ctx.fillText('Mbps', padding.left - 25, height - 5);
+        ctx.fillText('ms', padding.left + plotWidth + 25, height - 5);
+        for (let i = 0; i <= 5; i++) {
+            const time = (maxTime * i) / 5;
+            ctx.fillText(`${(time / 1000).toFixed(0)}s`, x(time), height - 5);
         }
         
-        const blob = new Blob([data]);
-        
-        const xhr = new XMLHttpRequest();
-        const url = `http://${server.host}:${server.port}/upload`;
+        if (!series) return;
         
-        return new Promise((resolve, reject) => {
-            xhr.open('POST', url, true);
+        // Throughput lines
+        ctx.lineWidth = 2;
+        [['download', '--primary-color'], ['upload', '--secondary-color']].forEach(([direction, name]) => {
+            if (series[direction].length === 0) return;
             
-            xhr.upload.onprogress = (event) => {
-                if (event.lengthComputable) {
-                    totalBytes = event.loaded;
-                    const elapsed = performance.now() - startTime;
-                    
-                    if (elapsed > 0) {
-                        const speed = (totalBytes * 8) / (elapsed * 1000); // Mbps
-                        this.updateGauge('uploadGauge', speed, 'Mbps');
-                        
-                        const progress = 80 + (elapsed / testDuration) * 20;
-                        this.updateProgress(
-                            `Uploading... ${this.formatBytes(totalBytes)}`,
-                            Math.min(progress, 95)
-                        );
-                    }
+            ctx.strokeStyle = color(name);
+            ctx.beginPath();
+            series[direction].forEach(([time, mbps], index) => {
+                if (index === 0) {
+                    ctx.moveTo(x(time), yMbps(mbps));
+                } else {
+                    ctx.lineTo(x(time), yMbps(mbps));
                 }
-            };
-            
-            xhr.onload = () => {
-                const elapsed = performance.now() - startTime;
-                const speedMbps = (totalBytes * 8) / (elapsed * 1000);
-                
-                this.testResults.upload = speedMbps;
-                this.updateGauge('uploadGauge', speedMbps, 'Mbps');
-                
-                document.getElementById('uploadStatus').textContent = 'Complete';
-                document.getElementById('uploadStatus').classList.remove('pulse');
-                resolve();
-            };
-            
-            xhr.onerror = () => {
-                reject(new Error('Upload test failed'));
-            };
-            
-            // Send the data
-            xhr.send(blob);
-            
-            // Timeout after test duration
-            setTimeout(() => {
-                xhr.abort();
-                const elapsed = performance.now() - startTime;
-                const speedMbps = (totalBytes * 8) / (elapsed * 1000);
-                
-                this.testResults.upload = speedMbps;
-                this.updateGauge('uploadGauge', speedMbps, 'Mbps');
-                
-                document.getElementById('uploadStatus').textContent = 'Complete';
-                document.getElementById('uploadStatus').classList.remove('pulse');
-                resolve();
-            }, testDuration);
+            });
+            ctx.stroke();
         });
-    }
-
-    async calculateJitter() {
-        if (this.pingTimes.length < 2) return;
-
-        const jitters = [];
-        for (let i = 1; i < this.pingTimes.length; i++) {
-            jitters.push(Math.abs(this.pingTimes[i] - this.pingTimes[i - 1]));
-        }
-        
-        const avgJitter = jitters.reduce((a, b) => a + b) / jitters.length;
-        this.testResults.jitter = avgJitter;
-        
-        document.getElementById('jitterValue').textContent = `${avgJitter.toFixed(1)} ms`;
         
-        // Calculate packet loss (simulated for demo)
-        const packetLoss = Math.random() * 0.5; // 0-0.5% for demo
-        this.testResults.packetLoss = packetLoss;
-        document.getElementById('packetLossValue').textContent = `${packetLoss.toFixed(2)}%`;
-        
-        // Estimate signal quality
-        const signalQuality = this.estimateSignalQuality();
-        document.getElementById('signalQuality').textContent = signalQuality;
+        // Latency samples
+        ctx.fillStyle = color('--warning-color');
+        series.latency.forEach(([time, ms]) => {
+            ctx.beginPath();
+            ctx.arc(x(time), yLatency(ms), 2.5, 0, Math.PI * 2);
+            ctx.fill();
+        });
     }
 
     estimateSignalQuality() {
@@ -670,8 +680,8 @@ class SpeedTest {
         if (jitter > 10) score -= 20;
         else if (jitter > 5) score -= 10;
         
-        if (packetLoss > 0.1) score -= 20;
-        else if (packetLoss > 0.05) score -= 10;
+        if (packetLoss > 1) score -= 20;
+        else if (packetLoss > 0.5) score -= 10;
         
         if (score >= 90) return 'Excellent';
         if (score >= 80) return 'Good';
@@ -690,18 +700,17 @@ class SpeedTest {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
 
-    saveResults(testId) {
+    saveResults(result) {
         const results = {
-            id: testId,
-            timestamp: new Date().toISOString(),
-            server: this.config.selectedServer,
-            results: this.testResults,
+            ...result,
             userInfo: {
                 ip: document.getElementById('userIp').textContent,
                 isp: document.getElementById('userIsp').textContent
             }
         };
 
+        this.recordDataUsage(results.results);
+        
         // Save to localStorage
         let history = JSON.parse(localStorage.getItem('speedtest_history') || '[]');
         history.unshift(results);
@@ -713,8 +722,10 @@ class SpeedTest {
         
         localStorage.setItem('speedtest_history', JSON.stringify(history));
         
-        // Send to server (optional)
-        this.sendResultsToServer(results);
+        // Send to server (optional); aborted runs stay local
+        if (results.status !== 'aborted') {
+            this.sendResultsToServer(results);
+        }
     }
 
     async sendResultsToServer(results) {
@@ -731,6 +742,87 @@ class SpeedTest {
         }
     }
 
+    // Arm the timer for the next scheduled test; runs only while the tab is open
+    startScheduler() {
+        clearTimeout(this.scheduleTimer);
+        this.scheduleTimer = null;
+        
+        const schedule = this.config.schedule;
+        if (!schedule || !schedule.enabled) return;
+        
+        this.scheduleTimer = setTimeout(() => this.runScheduledTest(), schedule.interval * 60 * 1000);
+    }
+
+    async runScheduledTest() {
+        const reason = this.config.isTesting ? 'another test is running' : this.getScheduleBlocker(new Date());
+        
+        if (reason) {
+            console.log(`Scheduled test skipped: ${reason}`);
+        } else {
+            this.showNotification('Starting scheduled speed test', 'info');
+            await this.startTest({ scheduled: true });
+        }
+        
+        this.startScheduler();
+    }
+
+    // Why a scheduled test must not run right now, or null when it may
+    getScheduleBlocker(now) {
+        const { quietStart, quietEnd, dailyCap } = this.config.schedule;
+        
+        if (!this.config.selectedServer) {
+            return 'no test server selected';
+        }
+        if (this.isQuietTime(now, quietStart, quietEnd)) {
+            return 'quiet hours';
+        }
+        
+        // Assume the next run moves as much data as the last one
+        const usage = this.getDataUsage();
+        if (dailyCap > 0 && usage.bytes + usage.lastRunBytes > dailyCap * 1024 * 1024) {
+            return `daily data cap of ${dailyCap} MB reached`;
+        }
+        
+        return null;
+    }
+
+    // Quiet hours are "HH:MM" bounds and may wrap past midnight, e.g. 22:00-07:00
+    isQuietTime(now, start, end) {
+        if (!start || !end) return false;
+        
+        const toMinutes = (time) => {
+            const [hours, minutes] = time.split(':').map(Number);
+            return hours * 60 + minutes;
+        };
+        const current = now.getHours() * 60 + now.getMinutes();
+        const from = toMinutes(start);
+        const to = toMinutes(end);
+        
+        return from <= to
+            ? current >= from && current < to
+            : current >= from || current < to;
+    }
+
+    // Bytes moved by tests today, kept in localStorage so the cap survives reloads
+    getDataUsage() {
+        const today = new Date().toDateString();
+        const usage = JSON.parse(localStorage.getItem('speedtest_usage') || '{}');
+        
+        return usage.date === today
+            ? usage
+            : { date: today, bytes: 0, lastRunBytes: usage.lastRunBytes || 0 };
+    }
+
+    recordDataUsage(results) {
+        const bytes = [results.downloadDetail, results.uploadDetail]
+            .reduce((total, detail) => total + (detail ? detail.totalBytes : 0), 0);
+        const usage = this.getDataUsage();
+        
+        usage.bytes += bytes;
+        usage.lastRunBytes = bytes;
+        localStorage.setItem('speedtest_usage', JSON.stringify(usage));
+    }
+
     showCompletion() {
         this.updateProgress('Test complete!', 100);
         
@@ -758,15 +850,27 @@ class SpeedTest {
         this.showNotification(`Test failed: ${message}`, 'error');
     }
 
+    showStopped() {
+        this.updateProgress('Test stopped', 0);
+        
+        document.querySelectorAll('.gauge-status.pulse').forEach(status => {
+            status.textContent = 'Stopped';
+            status.classList.remove('pulse');
+        });
+        
+        this.showNotification('Speed test stopped', 'info');
+    }
+
     showNotification(message, type = 'info') {
         // Create notification element
         const notification = document.createElement('div');
         notification.className = `notification notification-${type}`;
         notification.innerHTML = `
             <i class="fas fa-${type === 'success' ? 'check-circle' : 'exclamation-circle'}"></i>
-            <span>${message}</span>
+            <span></span>
             <button class="notification-close">&times;</button>
         `;
+        notification.querySelector('span').textContent = message;
         
         // Add to container
         const container = document.querySelector('.container');
@@ -839,9 +943,9 @@ class SpeedTest {
                 <div class="modal-body">
                     <div class="history-list">
                         ${history.map((test, index) => `
-                            <div class="history-item">
+                            <div class="history-item" data-index="${index}">
                                 <div class="history-item-header">
-                                    <span class="history-item-id">${test.id}</span>
+                                    <span class="history-item-id">${test.id}${test.status === 'aborted' ? ' <span class="history-item-aborted">Aborted</span>' : ''}</span>
                                     <span class="history-item-date">${new Date(test.timestamp).toLocaleString()}</span>
                                 </div>
                                 <div class="history-item-stats">
@@ -858,6 +962,7 @@ class SpeedTest {
                                         <span class="history-stat-value">${test.results.upload.toFixed(1)} Mbps</span>
                                     </div>
                                 </div>
+                                <canvas class="throughput-chart history-chart"></canvas>
                             </div>
                         `).join('')}
                     </div>
@@ -867,6 +972,22 @@ class SpeedTest {
         
         document.body.appendChild(modal);
         
+        // Clicking a test expands it and redraws its throughput graph
+        modal.querySelectorAll('.history-item').forEach(item => {
+            item.addEventListener('click', () => {
+                const test = history[item.dataset.index];
+                if (!test.results.series) {
+                    this.showNotification('No graph was recorded for this test', 'info');
+                    return;
+                }
+                
+                item.classList.toggle('expanded');
+                if (item.classList.contains('expanded')) {
+                    this.drawChart(item.querySelector('.history-chart'), test.results.series);
+                }
+            });
+        });
+        
         // Close handlers
         modal.querySelector('.btn-close-modal').addEventListener('click', () => {
             modal.classList.remove('show');
@@ -926,6 +1047,30 @@ class SpeedTest {
                             <span id="durationValue">10</span>
                         </div>
                     </div>
+                    <div class="settings-group">
+                        <h3>Scheduled Tests</h3>
+                        <div class="setting-item">
+                            <label>
+                                <input type="checkbox" id="scheduleEnabled">
+                                Run tests automatically while this tab is open
+                            </label>
+                        </div>
+                        <div class="setting-item">
+                            <label for="scheduleInterval">Every (minutes):</label>
+                            <input type="number" id="scheduleInterval" min="5" max="1440" value="60">
+                        </div>
+                        <div class="setting-item">
+                            <label for="quietStart">Quiet hours:</label>
+                            <input type="time" id="quietStart">
+                            <span>to</span>
+                            <input type="time" id="quietEnd">
+                        </div>
+                        <div class="setting-item">
+                            <label for="dailyCap">Daily data cap (MB, 0 for none):</label>
+                            <input type="number" id="dailyCap" min="0" value="500">
+                            <span id="dataUsedToday"></span>
+                        </div>
+                    </div>
                     <div class="settings-group">
                         <h3>Display Options</h3>
                         <div class="setting-item">
@@ -961,6 +1106,15 @@ class SpeedTest {
         }
         if (settings.autoDarkMode !== undefined) document.getElementById('autoDarkMode').checked = settings.autoDarkMode;
         if (settings.animations !== undefined) document.getElementById('animations').checked = settings.animations;
+        if (settings.schedule) {
+            document.getElementById('scheduleEnabled').checked = settings.schedule.enabled;
+            document.getElementById('scheduleInterval').value = settings.schedule.interval;
+            document.getElementById('quietStart').value = settings.schedule.quietStart || '';
+            document.getElementById('quietEnd').value = settings.schedule.quietEnd || '';
+            document.getElementById('dailyCap').value = settings.schedule.dailyCap;
+        }
+        document.getElementById('dataUsedToday').textContent =
+            `${this.formatBytes(this.getDataUsage().bytes)} used today`;
         
         // Update duration value display
         document.getElementById('testDuration').addEventListener('input', (e) => {
@@ -974,7 +1128,14 @@ class SpeedTest {
                 uploadSize: parseInt(document.getElementById('uploadSize').value),
                 testDuration: parseInt(document.getElementById('testDuration').value),
                 autoDarkMode: document.getElementById('autoDarkMode').checked,
-                animations: document.getElementById('animations').checked
+                animations: document.getElementById('animations').checked,
+                schedule: {
+                    enabled: document.getElementById('scheduleEnabled').checked,
+                    interval: Math.max(5, parseInt(document.getElementById('scheduleInterval').value) || 60),
+                    quietStart: document.getElementById('quietStart').value || null,
+                    quietEnd: document.getElementById('quietEnd').value || null,
+                    dailyCap: Math.max(0, parseInt(document.getElementById('dailyCap').value) || 0)
+                }
             };
             
             localStorage.setItem('speedtest_settings', JSON.stringify(newSettings));
@@ -983,6 +1144,8 @@ class SpeedTest {
             this.config.downloadSize = newSettings.downloadSize;
             this.config.uploadSize = newSettings.uploadSize;
             this.config.testDuration = newSettings.testDuration * 1000;
+            this.config.schedule = newSettings.schedule;
+            this.startScheduler();
             
             this.showNotification('Settings saved successfully!', 'success');
             
@@ -1005,6 +1168,14 @@ class SpeedTest {
             document.getElementById('durationValue').textContent = '10';
             document.getElementById('autoDarkMode').checked = true;
             document.getElementById('animations').checked = true;
+            document.getElementById('scheduleEnabled').checked = false;
+            document.getElementById('scheduleInterval').value = '60';
+            document.getElementById('quietStart').value = '';
+            document.getElementById('quietEnd').value = '';
+            document.getElementById('dailyCap').value = '500';
+            
+            this.config.schedule = null;
+            this.startScheduler();
             
             this.showNotification('Settings reset to defaults', 'info');
         });
@@ -1188,6 +1359,10 @@ document.addEventListener('DOMContentLoaded', () => {
             color: var(--primary-color);
         }
         
+        .server-item-unreachable .server-item-latency {
+            color: var(--gray-500);
+        }
+        
         .server-item-distance {
             font-size: 12px;
             color: var(--gray-500);
@@ -1219,6 +1394,17 @@ document.addEventListener('DOMContentLoaded', () => {
             border-radius: var(--border-radius);
             padding: 15px;
             margin-bottom: 10px;
+            cursor: pointer;
+        }
+        
+        .history-chart {
+            display: none;
+            margin-top: 15px;
+            height: 180px;
+        }
+        
+        .history-item.expanded .history-chart {
+            display: block;
         }
         
         body.dark-mode .history-item {
@@ -1242,6 +1428,12 @@ document.addEventListener('DOMContentLoaded', () => {
             color: var(--primary-color);
         }
         
+        .history-item-aborted {
+            margin-left: 8px;
+            font-size: 12px;
+            color: var(--warning-color);
+        }
+        
         .history-item-date {
             font-size: 12px;
             color: var(--gray-600);
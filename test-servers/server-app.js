@@ -1,43 +1,255 @@
 // Template for deploying test servers in different regions
 const express = require('express');
+const cors = require('cors');
 const os = require('os');
 const cluster = require('cluster');
+const { fetchWithTimeout } = require('../backend/http-client');
+const { hasReceiptSecret } = require('../backend/receipts');
+const { createTestServerRoutes, TransferTracker, mergeSnapshots } = require('../backend/test-server-routes');
 const numCPUs = os.cpus().length;
 
+// Receipts signed with the published development secret prove nothing
+if (!hasReceiptSecret()) {
+    console.error('RECEIPT_SECRET must be set in production');
+    process.exit(1);
+}
+
+// Registration with the API's server registry (skipped when REGISTRY_URL is unset)
+const REGISTRY_URL = process.env.REGISTRY_URL;
+const REGISTRY_TOKEN = process.env.REGISTRY_TOKEN;
+const STATS_INTERVAL = 5000;
+
+// How long the master waits for every worker's share of a session
+const SESSION_QUERY_TIMEOUT = 2000;
+
+function registration() {
+    const port = parseInt(process.env.PORT) || 3001;
+    const host = process.env.PUBLIC_HOST || os.hostname();
+    
+    return {
+        id: process.env.SERVER_ID || `${host}:${port}`,
+        name: process.env.SERVER_NAME || `${process.env.REGION || 'Unknown'} Server`,
+        region: process.env.REGION || 'Unknown',
+        location: process.env.LOCATION,
+        country: process.env.COUNTRY,
+        city: process.env.CITY,
+        coordinates: {
+            lat: parseFloat(process.env.LATITUDE) || 0,
+            lon: parseFloat(process.env.LONGITUDE) || 0
+        },
+        host: host,
+        port: port,
+        capacity: parseFloat(process.env.CAPACITY_MBPS) || 1000
+    };
+}
+
+async function registryRequest(method, path, body) {
+    const response = await fetchWithTimeout(`${REGISTRY_URL.replace(/\/$/, '')}/api/registry/servers${path}`, {
+        method: method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(REGISTRY_TOKEN && { Authorization: `Bearer ${REGISTRY_TOKEN}` })
+        },
+        body: body && JSON.stringify(body)
+    }, 5000);
+    const data = await response.json().catch(() => ({}));
+    return { status: response.status, data };
+}
+
 if (cluster.isMaster) {
     console.log(`Master ${process.pid} is running`);
     console.log(`Server region: ${process.env.REGION || 'Unknown'}`);
     console.log(`CPU cores available: ${numCPUs}`);
     
+    const server = registration();
+    let heartbeatTimer = null;
+    let shuttingDown = false;
+    
+    // Latest /stats from each worker, reported over IPC
+    const workerStats = new Map();
+    
+    // Connections are spread across workers, so a session's totals are the sum of
+    // every worker's share. A worker asking about a session gets the combined answer.
+    const sessionQueries = new Map();
+    let nextSessionQuery = 0;
+    
+    function querySession(worker, request) {
+        const workers = Object.values(cluster.workers);
+        const query = {
+            id: ++nextSessionQuery,
+            worker: worker,
+            request: request,
+            pending: workers.length,
+            results: []
+        };
+        query.timer = setTimeout(() => finishSessionQuery(query), SESSION_QUERY_TIMEOUT);
+        sessionQueries.set(query.id, query);
+        
+        for (const each of workers) {
+            each.send({ type: 'session-collect', action: request.action, sessionId: request.sessionId, query: query.id });
+        }
+    }
+    
+    function finishSessionQuery(query) {
+        clearTimeout(query.timer);
+        sessionQueries.delete(query.id);
+        
+        const result = query.request.action === 'release'
+            ? query.results.some(Boolean)
+            : mergeSnapshots(query.results);
+        if (query.worker.isConnected()) {
+            query.worker.send({ type: 'session-result', id: query.request.id, result: result });
+        }
+    }
+    
+    function setupWorker(worker) {
+        worker.on('message', (message) => {
+            if (message && message.type === 'stats') {
+                workerStats.set(worker.id, message.stats);
+            } else if (message && message.type === 'session-query') {
+                querySession(worker, message);
+            } else if (message && message.type === 'session-part') {
+                const query = sessionQueries.get(message.query);
+                if (!query) return;
+                
+                query.results.push(message.result);
+                if (--query.pending === 0) {
+                    finishSessionQuery(query);
+                }
+            }
+        });
+    }
+    
     // Fork workers
     for (let i = 0; i < Math.min(numCPUs, 4); i++) {
-        cluster.fork();
+        setupWorker(cluster.fork());
     }
     
     cluster.on('exit', (worker, code, signal) => {
         console.log(`Worker ${worker.process.pid} died`);
-        // Restart worker
-        cluster.fork();
+        workerStats.delete(worker.id);
+        // Restart worker unless the instance is shutting down
+        if (!shuttingDown) {
+            setupWorker(cluster.fork());
+        }
     });
+    
+    // Instance-wide totals of the worker /stats data
+    function instanceStats() {
+        const workers = Array.from(workerStats.values());
+        const sum = (field) => workers.reduce((total, stats) => total + stats[field], 0);
+        
+        return {
+            region: process.env.REGION || 'Unknown',
+            workers: workers.length,
+            activeConnections: sum('activeConnections'),
+            totalTests: sum('totalTests'),
+            totalBytesServed: sum('totalBytesServed'),
+            loadAverage: os.loadavg(),
+            uptime: process.uptime(),
+            timestamp: new Date().toISOString()
+        };
+    }
+    
+    async function register() {
+        try {
+            const { status, data } = await registryRequest('POST', '', server);
+            if (status !== 201) {
+                throw new Error(data.error || `HTTP ${status}`);
+            }
+            console.log(`Registered with ${REGISTRY_URL} as ${data.server.id}`);
+            scheduleHeartbeat(data.heartbeatInterval);
+        } catch (error) {
+            console.error(`Registration failed: ${error.message}; retrying`);
+            scheduleHeartbeat(10000, register);
+        }
+    }
+    
+    async function heartbeat() {
+        try {
+            const { status, data } = await registryRequest('PUT', `/${encodeURIComponent(server.id)}/heartbeat`, instanceStats());
+            
+            // The registry forgot us (expired or restarted), so register again
+            if (status === 404) {
+                return register();
+            }
+            if (status !== 200) {
+                throw new Error(data.error || `HTTP ${status}`);
+            }
+            scheduleHeartbeat(data.heartbeatInterval);
+        } catch (error) {
+            console.error(`Heartbeat failed: ${error.message}`);
+            scheduleHeartbeat(10000);
+        }
+    }
+    
+    function scheduleHeartbeat(interval, next = heartbeat) {
+        if (shuttingDown) return;
+        heartbeatTimer = setTimeout(next, interval);
+    }
+    
+    async function shutdown() {
+        if (shuttingDown) return;
+        shuttingDown = true;
+        clearTimeout(heartbeatTimer);
+        
+        if (REGISTRY_URL) {
+            await registryRequest('DELETE', `/${encodeURIComponent(server.id)}`).catch(() => {});
+        }
+        for (const worker of Object.values(cluster.workers)) {
+            worker.kill();
+        }
+        process.exit(0);
+    }
+    
+    if (REGISTRY_URL) {
+        // Give the workers a moment to start listening before announcing the instance
+        setTimeout(register, 1000);
+    }
+    
+    process.on('SIGTERM', shutdown);
+    process.on('SIGINT', shutdown);
 } else {
     const app = express();
     const PORT = process.env.PORT || 3001;
     const REGION = process.env.REGION || 'Unknown';
     
-    // Worker-specific logic
-    const activeConnections = new Set();
-    let totalBytesServed = 0;
-    let totalTests = 0;
+    // Session lookups go through the master, which asks every worker for its share
+    const tracker = new TransferTracker();
+    const sessionRequests = new Map();
+    let nextSessionRequest = 0;
     
-    app.use((req, res, next) => {
-        // Add connection tracking
-        const connectionId = `${process.pid}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        activeConnections.add(connectionId);
-        
-        req.on('close', () => {
-            activeConnections.delete(connectionId);
+    function askMaster(action, sessionId) {
+        return new Promise((resolve) => {
+            const id = ++nextSessionRequest;
+            sessionRequests.set(id, resolve);
+            process.send({ type: 'session-query', id: id, action: action, sessionId: sessionId });
         });
-        
+    }
+    
+    process.on('message', (message) => {
+        if (message && message.type === 'session-collect') {
+            const result = message.action === 'release'
+                ? tracker.release(message.sessionId)
+                : tracker.snapshot(message.sessionId);
+            process.send({ type: 'session-part', query: message.query, result: result });
+        } else if (message && message.type === 'session-result') {
+            const resolve = sessionRequests.get(message.id);
+            sessionRequests.delete(message.id);
+            if (resolve) resolve(message.result);
+        }
+    });
+    
+    const testServer = createTestServerRoutes({
+        serverId: registration().id,
+        tracker: tracker,
+        snapshotSession: sessionId => askMaster('snapshot', sessionId),
+        releaseSession: sessionId => askMaster('release', sessionId),
+        describe: () => ({ region: REGION, pid: process.pid, workerId: cluster.worker.id })
+    });
+    
+    app.use(cors());
+    app.use((req, res, next) => {
         // Set headers
         res.setHeader('X-Server-Region', REGION);
         res.setHeader('X-Server-PID', process.pid);
@@ -46,117 +258,29 @@ if (cluster.isMaster) {
         next();
     });
     
-    // Generate test data
-    const testDataCache = new Map();
-    
-    function getTestData(size) {
-        if (!testDataCache.has(size)) {
-            const data = Buffer.alloc(size);
-            for (let i = 0; i < size; i++) {
-                data[i] = Math.floor(Math.random() * 256);
-            }
-            testDataCache.set(size, data);
-        }
-        return testDataCache.get(size);
-    }
-    
-    // Routes
-    app.get('/ping', (req, res) => {
-        const start = process.hrtime();
-        res.setHeader('Content-Type', 'text/plain');
-        res.setHeader('Content-Length', '4');
-        res.send('pong');
-        
-        const diff = process.hrtime(start);
-        const latency = (diff[0] * 1000) + (diff[1] / 1000000);
-        
-        console.log(`[Worker ${cluster.worker.id}] Ping: ${latency.toFixed(2)}ms`);
-    });
+    // Measurement endpoints, sessions and receipts, shared with the built-in test server
+    app.use(testServer.router);
     
-    app.get('/download', (req, res) => {
-        totalTests++;
-        
-        const size = Math.min(parseInt(req.query.size) || 10 * 1024 * 1024, 100 * 1024 * 1024);
-        const data = getTestData(size);
-        
-        res.setHeader('Content-Type', 'application/octet-stream');
-        res.setHeader('Content-Length', size);
-        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-        
-        const start = Date.now();
-        
-        // Stream data in chunks
-        const chunkSize = 256 * 1024; // 256KB chunks
-        let offset = 0;
-        
-        function sendChunk() {
-            if (offset >= size) {
-                totalBytesServed += size;
-                const duration = Date.now() - start;
-                const speed = (size * 8) / (duration / 1000) / 1000000;
-                
-                console.log(`[Worker ${cluster.worker.id}] Download: ${(size/1048576).toFixed(1)}MB, ${duration}ms, ${speed.toFixed(1)}Mbps`);
-                res.end();
-                return;
-            }
-            
-            const end = Math.min(offset + chunkSize, size);
-            const chunk = data.slice(offset, end);
-            
-            if (res.write(chunk)) {
-                offset = end;
-                setImmediate(sendChunk);
-            } else {
-                res.once('drain', sendChunk);
+    // Report this worker's counters to the master for registry heartbeats
+    function reportStats() {
+        process.send({
+            type: 'stats',
+            stats: {
+                activeConnections: testServer.activeConnections.size,
+                totalTests: testServer.counters.totalTests,
+                totalBytesServed: testServer.counters.totalBytesServed
             }
-        }
-        
-        sendChunk();
-    });
-    
-    app.post('/upload', (req, res) => {
-        totalTests++;
-        
-        let received = 0;
-        const start = Date.now();
-        
-        req.on('data', (chunk) => {
-            received += chunk.length;
         });
-        
-        req.on('end', () => {
-            const duration = Date.now() - start;
-            const speed = (received * 8) / (duration / 1000) / 1000000;
-            
-            console.log(`[Worker ${cluster.worker.id}] Upload: ${(received/1048576).toFixed(1)}MB, ${duration}ms, ${speed.toFixed(1)}Mbps`);
-            
-            res.json({
-                success: true,
-                bytes: received,
-                duration: duration,
-                speedMbps: speed,
-                server: REGION,
-                worker: cluster.worker.id
-            });
-        });
-    });
-    
-    app.get('/stats', (req, res) => {
-        res.json({
-            region: REGION,
-            pid: process.pid,
-            workerId: cluster.worker.id,
-            activeConnections: activeConnections.size,
-            totalTests: totalTests,
-            totalBytesServed: totalBytesServed,
-            memory: process.memoryUsage(),
-            uptime: process.uptime(),
-            timestamp: new Date().toISOString()
-        });
-    });
+    }
+    setInterval(reportStats, STATS_INTERVAL).unref();
     
     // Start server
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
         console.log(`Worker ${process.pid} (${cluster.worker.id}) started on port ${PORT} in region ${REGION}`);
+        reportStats();
     });
+    
+    // Latency and packet loss channel; clients use the websocket transport only,
+    // so each socket stays on the worker that accepted it
+    testServer.attachLatencyChannel(server);
 }